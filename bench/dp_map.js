@@ -0,0 +1,217 @@
+/*
+ * dp_map.js
+ * 
+ * Benchmark of the tiled dp_map_t storage against the array of arrays storage
+ * it replaced. Runs the same seeded simulation through dp_slam_t with each map
+ * and reports the time per update, the stored entries, and the heap retained
+ * by the filter after garbage collection. Each storage runs in its own Node.js
+ * process with --expose-gc, after a short warm-up run, so that neither inherits
+ * the other's garbage or JIT state.
+ * 
+ * Usage: node bench/dp_map.js [steps] [particles]
+ */
+
+var child_process = require("child_process");
+var slam = require("../src/slam.js");
+
+/*
+ * array_map_t
+ * The previous dp_map_t storage: a sparse array of arrays indexed by cell
+ * coordinates, holding an object keyed by node id for each cell.
+ */
+var array_map_t = function(prior_hits = 1.0, prior_passes = 1.0,
+	grid = slam.unit_grid)
+{
+	var _this = this;
+	_this.map = [];
+	_this.grid = grid;
+	_this.prior_hits = prior_hits;
+	_this.prior_passes = prior_passes;
+	
+	_this.lookup_by_id = function(x, y, id) {
+		if(typeof _this.map[x] !== "undefined" &&
+		   typeof _this.map[x][y] !== "undefined" &&
+		   typeof _this.map[x][y][id] !== "undefined")
+		{
+			return _this.map[x][y][id];
+		}
+		return -1;
+	};
+	
+	_this.entry = function(x, y, dp_node) {
+		var temp = dp_node;
+		do {
+			var val = _this.lookup_by_id(x, y, temp.id);
+			if(val != -1) {
+				return val;
+			}
+		} while((temp = temp.parent) != null);
+		return -1;
+	};
+	
+	_this.lookup = function(x, y, dp_node) {
+		var entry = _this.entry(x, y, dp_node);
+		var hits = _this.prior_hits, passes = _this.prior_passes;
+		if(entry != -1) {
+			hits += entry.hits;
+			passes += entry.passes;
+		}
+		return hits / (hits + passes);
+	};
+	
+	_this.update = function(value, x, y, dp_node) {
+		var own = _this.lookup_by_id(x, y, dp_node.id), created = false;
+		if(own == -1) {
+			var inherited = (dp_node.parent != null)
+				? _this.entry(x, y, dp_node.parent) : -1;
+			own = (inherited != -1)
+				? { hits : inherited.hits, passes : inherited.passes }
+				: { hits : 0, passes : 0 };
+			if(typeof _this.map[x] == "undefined") {
+				_this.map[x] = [];
+			}
+			if(typeof _this.map[x][y] == "undefined") {
+				_this.map[x][y] = {};
+			}
+			_this.map[x][y][dp_node.id] = own;
+			created = true;
+		}
+		
+		if(value) {
+			own.hits += 1;
+		}
+		else {
+			own.passes += 1;
+		}
+		return created;
+	};
+	
+	_this.erase = function(x, y, id) {
+		delete _this.map[x][y][id];
+	};
+	
+	_this.rename = function(x, y, old_id, new_id) {
+		_this.map[x][y][new_id] = _this.map[x][y][old_id];
+		_this.erase(x, y, old_id);
+	};
+	
+	_this.count_entries = function() {
+		var total = 0;
+		for(var x in _this.map) {
+			for(var y in _this.map[x]) {
+				total += Object.keys(_this.map[x][y]).length;
+			}
+		}
+		return { total : total };
+	};
+};
+
+/*
+ * run
+ * Drive a robot around a square room with the given map storage, returning
+ * the elapsed time, stored entry count, heap retained after garbage collection,
+ * and final pose estimate.
+ */
+function run(make_map, steps, particles) {
+	global.gc();
+	var heap = process.memoryUsage().heapUsed;
+	
+	var grid = new slam.grid_t(0.1);
+	var wall = 6.0;
+	var truth = function(x, y) {
+		var c = grid.center(x, y);
+		return (Math.abs(c.x) > wall || Math.abs(c.y) > wall) ? 1.0 : 0.0;
+	};
+	
+	var scanner = new slam.scanner_t(360, 20.0);
+	var generator = new slam.beam_measurement_model_t(0.01, scanner, 360);
+	var dp_slam = new slam.dp_slam_t(
+			particles,
+			new slam.odometry_motion_model_t(0.0001, 0.0001, 0.001, 0.0001),
+			new slam.beam_measurement_model_t(0.01, scanner, 36),
+			0.5,
+			slam.make_rng(),
+			"systematic",
+			null,
+			grid
+		);
+	dp_slam.map = make_map(grid);
+	
+	var rng = slam.make_rng(3);
+	var pose = new slam.location_t(0.0, 0.0, 0.0);
+	var control = new slam.control_t(
+			new slam.location_t(0.0, 0.0, 0.0),
+			new slam.location_t(0.0, 0.0, 0.0)
+		);
+	
+	var start = Date.now();
+	for(var k = 0; k < steps; ++k) {
+		pose.add(0.1, (k % 20 < 10) ? 0.0 : 0.1);
+		var scan = [];
+		for(var i = 0; i < scanner.size; ++i) {
+			scan.push(
+					generator.expected_range(
+							pose,
+							scanner.beam_angle(i),
+							truth,
+							grid
+						)
+					+ slam.sample_normal(0.0, 0.0001, rng)
+				);
+		}
+		control.update(slam.copy_location(pose));
+		dp_slam.update(control, scan);
+	}
+	
+	var time = Date.now() - start;
+	
+	global.gc();
+	return {
+			time : time,
+			entries : dp_slam.map.count_entries().total,
+			heap : process.memoryUsage().heapUsed - heap,
+			location : dp_slam.best_particle().location
+		};
+}
+
+var storages = {
+		array : function(grid) { return new array_map_t(1.0, 1.0, grid); },
+		tiled : function(grid) { return new slam.dp_map_t(1.0, 1.0, grid); }
+	};
+
+var steps = parseInt(process.argv[2]) || 60;
+var particles = parseInt(process.argv[3]) || 30;
+var storage = process.argv[4];
+
+if(storage !== undefined) {
+	// Child process: warm up, then time one storage and report it as JSON.
+	run(storages[storage], 10, particles);
+	console.log(JSON.stringify(run(storages[storage], steps, particles)));
+}
+else {
+	var results = {};
+	for(var name in storages) {
+		var child = child_process.spawnSync(
+				process.execPath,
+				["--expose-gc", __filename, steps, particles, name],
+				{ encoding : "utf8" }
+			);
+		if(child.status != 0) {
+			throw new Error(name + " run failed: " + child.stderr);
+		}
+		results[name] = JSON.parse(child.stdout);
+	}
+	
+	console.log(steps + " updates, " + particles + " particles, 0.1 cell grid");
+	for(var name in results) {
+		var r = results[name];
+		console.log(
+				name + ": " + (r.time / steps).toFixed(2) + " ms/update, "
+				+ r.entries + " entries, "
+				+ (r.heap / 1048576).toFixed(1) + " MB retained, pose ("
+				+ r.location.x.toFixed(3) + ", " + r.location.y.toFixed(3) + ")"
+			);
+	}
+	console.log("speedup: " + (results.array.time / results.tiled.time).toFixed(2)
+		+ "x");
+}
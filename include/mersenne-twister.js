@@ -195,3 +195,7 @@ MersenneTwister.prototype.genrand_res53 = function() {
 } 
 
 /* These real versions are due to Isaku Wada, 2002/01/09 added */
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MersenneTwister;
+}
@@ -0,0 +1,188 @@
+/*
+ * carmen.js
+ * 
+ * Reader for CARMEN / Radish robot logs and a driver replaying them through a
+ * dp_slam_t object. Depends on slam.js.
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var slam = require("./slam.js");
+	var control_t = slam.control_t;
+	var location_t = slam.location_t;
+	var copy_location = slam.copy_location;
+}
+
+/*
+ * carmen_log_t
+ * Parses the text of a CARMEN log into odometry and laser records. Takes the
+ * beam measurement model the scans will be used with, and a scale applied to
+ * every distance in the log (e.g. 100 to replay a log in meters with
+ * centimeter odometry). The grid resolution is set on the dp_slam_t map.
+ * Laser scans are resampled onto the beams of the model's scanner_t, so scans
+ * with a different beam count or field of view may be used. Model beams
+ * outside the scan's field of view are set to null and readings at the
+ * scanner's maximum range are set to 0.0 (no return).
+ * 
+ * Recognized records are ODOM, FLASER, RLASER, and ROBOTLASER1/2. FLASER and
+ * RLASER lines do not describe their geometry, so they are assumed to span
+ * flaser_fov radians starting at flaser_angle_min.
+ */
+var carmen_log_t = function(text, scan_model, scale = 1.0,
+	flaser_angle_min = -0.5 * Math.PI, flaser_fov = Math.PI)
+{
+	var _this = this;
+	_this.scan_model = scan_model;
+	_this.scale = scale;
+	_this.flaser_angle_min = flaser_angle_min;
+	_this.flaser_fov = flaser_fov;
+	_this.odometry = [];
+	_this.scans = [];
+	
+	_this.location = function(tokens, i) {
+		return new location_t(
+				parseFloat(tokens[i]) * _this.scale,
+				parseFloat(tokens[i + 1]) * _this.scale,
+				parseFloat(tokens[i + 2])
+			);
+	};
+	
+	_this.convert_scan = function(ranges, angle_min, angle_increment,
+		max_range = Infinity)
+	{
+		var scanner = _this.scan_model.scanner;
+		var measurement = [];
+		
+		for(var j = 0; j < scanner.size; ++j) {
+			// Both the log's angles and the model's beam angles are in the laser
+			// frame; the mount is applied when the model casts its beams
+			var angle = scanner.beam_angle(j);
+			var offset = (angle - angle_min) % (2.0 * Math.PI);
+			if(offset < 0.0) offset += 2.0 * Math.PI;
+			
+			var k = Math.round(offset / angle_increment);
+			if(k >= ranges.length) {
+				k = Math.round((offset - 2.0 * Math.PI) / angle_increment);
+			}
+			
+			if(k < 0 || k >= ranges.length) {
+				measurement.push(null);
+			}
+			else if(ranges[k] >= max_range) {
+				measurement.push(0.0);
+			}
+			else {
+				measurement.push(ranges[k] * _this.scale);
+			}
+		}
+		
+		return measurement;
+	};
+	
+	_this.parse_odom = function(tokens) {
+		_this.odometry.push({
+				location : _this.location(tokens, 1),
+				timestamp : parseFloat(tokens[7])
+			});
+	};
+	
+	_this.parse_flaser = function(tokens) {
+		var n = parseInt(tokens[1]);
+		var ranges = tokens.slice(2, 2 + n).map(parseFloat);
+		
+		_this.scans.push({
+				location : _this.location(tokens, 5 + n),
+				ranges : _this.convert_scan(
+						ranges,
+						_this.flaser_angle_min,
+						_this.flaser_fov / n
+					),
+				timestamp : parseFloat(tokens[8 + n])
+			});
+	};
+	
+	_this.parse_robotlaser = function(tokens) {
+		var angle_min = parseFloat(tokens[2]);
+		var angle_increment = parseFloat(tokens[4]);
+		var max_range = parseFloat(tokens[5]);
+		var n = parseInt(tokens[8]);
+		var ranges = tokens.slice(9, 9 + n).map(parseFloat);
+		var i = 9 + n;
+		i += 1 + parseInt(tokens[i]); // skip remissions
+		
+		_this.scans.push({
+				location : _this.location(tokens, i + 3),
+				ranges : _this.convert_scan(
+						ranges,
+						angle_min,
+						angle_increment,
+						max_range
+					),
+				timestamp : parseFloat(tokens[i + 11])
+			});
+	};
+	
+	_this.parse_line = function(line) {
+		var tokens = line.trim().split(/\s+/);
+		switch(tokens[0]) {
+			case "ODOM":
+				_this.parse_odom(tokens);
+				break;
+			case "FLASER":
+			case "RLASER":
+				_this.parse_flaser(tokens);
+				break;
+			case "ROBOTLASER1":
+			case "ROBOTLASER2":
+				_this.parse_robotlaser(tokens);
+				break;
+			default:
+				break;
+		}
+	};
+	
+	var lines = text.split("\n");
+	for(var i = 0; i < lines.length; ++i) {
+		if(lines[i].length > 0 && lines[i][0] != "#") {
+			_this.parse_line(lines[i]);
+		}
+	}
+};
+
+/*
+ * replay_carmen_log
+ * Feed every laser scan of a carmen_log_t through dp_slam.update, using the
+ * odometry pose recorded with each scan as the control. The optional callback
+ * is called after each update with the scan index, the scan record, and the
+ * dp_slam object. Returns the number of scans replayed.
+ */
+function replay_carmen_log(log, dp_slam, callback = null) {
+	var control = null;
+	
+	for(var i = 0; i < log.scans.length; ++i) {
+		var scan = log.scans[i];
+		if(control == null) {
+			control = new control_t(
+					copy_location(scan.location),
+					copy_location(scan.location)
+				);
+		}
+		else {
+			control.update(copy_location(scan.location));
+		}
+		
+		dp_slam.update(control, scan.ranges);
+		
+		if(callback != null) {
+			callback(i, scan, dp_slam);
+		}
+	}
+	
+	return log.scans.length;
+}
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		carmen_log_t : carmen_log_t,
+		replay_carmen_log : replay_carmen_log
+	};
+}
@@ -0,0 +1,274 @@
+/*
+ * evaluate.js
+ * 
+ * Trajectory accuracy evaluation. Compares an estimated trajectory, such as
+ * dp_slam_t.trajectory, with a ground truth pose sequence of the same length,
+ * computing the absolute trajectory error (ATE) after rigid alignment and the
+ * relative pose error (RPE) over given travel distances. Depends on slam.js.
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var slam = require("./slam.js");
+	var location_t = slam.location_t;
+	var normalize_angle = slam.normalize_angle;
+}
+
+/*
+ * align_trajectories
+ * Find the rotation and translation that best map the estimated positions
+ * onto the ground truth positions in the least squares sense. Returns the
+ * transform as { x, y, angle }, applied by rotating then translating.
+ */
+function align_trajectories(truth, estimate) {
+	var n = truth.length;
+	var tx = 0.0, ty = 0.0, ex = 0.0, ey = 0.0;
+	for(var i = 0; i < n; ++i) {
+		tx += truth[i].x / n;
+		ty += truth[i].y / n;
+		ex += estimate[i].x / n;
+		ey += estimate[i].y / n;
+	}
+	
+	var dot = 0.0, cross = 0.0;
+	for(var i = 0; i < n; ++i) {
+		var ax = estimate[i].x - ex, ay = estimate[i].y - ey;
+		var bx = truth[i].x - tx, by = truth[i].y - ty;
+		dot += ax * bx + ay * by;
+		cross += ax * by - ay * bx;
+	}
+	
+	var angle = (n > 1) ? Math.atan2(cross, dot) : 0.0;
+	var c = Math.cos(angle), s = Math.sin(angle);
+	return {
+			x : tx - (c * ex - s * ey),
+			y : ty - (s * ex + c * ey),
+			angle : angle
+		};
+}
+
+/*
+ * transform_location
+ * Apply a transform { x, y, angle } to a location.
+ */
+function transform_location(transform, location) {
+	var c = Math.cos(transform.angle), s = Math.sin(transform.angle);
+	return new location_t(
+			transform.x + c * location.x - s * location.y,
+			transform.y + s * location.x + c * location.y,
+			normalize_angle(location.angle + transform.angle)
+		);
+}
+
+/*
+ * relative_location
+ * Express location b in the frame of location a.
+ */
+function relative_location(a, b) {
+	var c = Math.cos(a.angle), s = Math.sin(a.angle);
+	var dx = b.x - a.x, dy = b.y - a.y;
+	return new location_t(
+			c * dx + s * dy,
+			-s * dx + c * dy,
+			normalize_angle(b.angle - a.angle)
+		);
+}
+
+/*
+ * error_statistics
+ * Summarize a list of errors by count, root mean square, mean, median, and
+ * maximum.
+ */
+function error_statistics(errors) {
+	var n = errors.length;
+	if(n == 0) {
+		return { count : 0, rmse : NaN, mean : NaN, median : NaN, max : NaN };
+	}
+	
+	var sum = 0.0, squares = 0.0, max = 0.0;
+	for(var i = 0; i < n; ++i) {
+		sum += errors[i];
+		squares += errors[i] * errors[i];
+		max = Math.max(max, errors[i]);
+	}
+	
+	var sorted = errors.slice().sort(function(a, b) { return a - b; });
+	var median = (n % 2 == 1) ? sorted[(n - 1) / 2]
+		: 0.5 * (sorted[n / 2 - 1] + sorted[n / 2]);
+	
+	return {
+			count : n,
+			rmse : Math.sqrt(squares / n),
+			mean : sum / n,
+			median : median,
+			max : max
+		};
+}
+
+/*
+ * absolute_trajectory_error
+ * Align the estimate to the ground truth and compute the position and
+ * orientation error of every pose. Returns the alignment, the aligned
+ * estimate, the per step errors, and their statistics.
+ */
+function absolute_trajectory_error(truth, estimate) {
+	var alignment = align_trajectories(truth, estimate);
+	var aligned = [], translation = [], rotation = [];
+	for(var i = 0; i < truth.length; ++i) {
+		aligned.push(transform_location(alignment, estimate[i]));
+		translation.push(truth[i].distance(aligned[i]));
+		rotation.push(
+				Math.abs(normalize_angle(truth[i].angle - aligned[i].angle))
+			);
+	}
+	
+	return {
+			alignment : alignment,
+			aligned : aligned,
+			translation : translation,
+			rotation : rotation,
+			translation_stats : error_statistics(translation),
+			rotation_stats : error_statistics(rotation)
+		};
+}
+
+/*
+ * relative_pose_error
+ * Compare the motion of the estimate with the motion of the ground truth
+ * between each pose and the first later pose at least the given distance
+ * further along the ground truth path. The per step errors are indexed by the
+ * starting pose and are null where the path ends too soon.
+ */
+function relative_pose_error(truth, estimate, distance) {
+	var travelled = [0.0];
+	for(var i = 1; i < truth.length; ++i) {
+		travelled.push(travelled[i - 1] + truth[i - 1].distance(truth[i]));
+	}
+	
+	var translation = [], rotation = [];
+	var j = 0;
+	for(var i = 0; i < truth.length; ++i) {
+		j = Math.max(j, i + 1);
+		while(j < truth.length && travelled[j] - travelled[i] < distance) {
+			++j;
+		}
+		if(j >= truth.length) {
+			translation.push(null);
+			rotation.push(null);
+			continue;
+		}
+		
+		var error = relative_location(
+				relative_location(truth[i], truth[j]),
+				relative_location(estimate[i], estimate[j])
+			);
+		translation.push(Math.sqrt(error.x * error.x + error.y * error.y));
+		rotation.push(Math.abs(error.angle));
+	}
+	
+	var valid = function(e) { return e !== null; };
+	return {
+			distance : distance,
+			translation : translation,
+			rotation : rotation,
+			translation_stats : error_statistics(translation.filter(valid)),
+			rotation_stats : error_statistics(rotation.filter(valid))
+		};
+}
+
+/*
+ * evaluate_trajectory
+ * Compute the ATE and the RPE for each of the given distances. The ground
+ * truth and estimate are arrays of location_t holding one pose per step, in
+ * order.
+ */
+function evaluate_trajectory(truth, estimate, distances = [1.0]) {
+	if(truth.length != estimate.length) {
+		throw new Error("ground truth has " + truth.length
+			+ " poses but the estimate has " + estimate.length);
+	}
+	
+	return {
+			truth : truth,
+			estimate : estimate,
+			ate : absolute_trajectory_error(truth, estimate),
+			rpe : distances.map(function(d) {
+				return relative_pose_error(truth, estimate, d);
+			})
+		};
+}
+
+/*
+ * evaluation_table
+ * Format the statistics of an evaluation as a plain text table.
+ */
+function evaluation_table(evaluation) {
+	var pad = function(text, width) {
+		text = String(text);
+		while(text.length < width) text = " " + text;
+		return text;
+	};
+	var number = function(value) {
+		return pad(isNaN(value) ? "-" : value.toFixed(4), 10);
+	};
+	var row = function(name, stats) {
+		return name + pad(stats.count, 8 + 14 - name.length)
+			+ number(stats.rmse) + number(stats.mean)
+			+ number(stats.median) + number(stats.max) + "\n";
+	};
+	
+	var text = "metric" + pad("n", 16) + pad("rmse", 10) + pad("mean", 10)
+		+ pad("median", 10) + pad("max", 10) + "\n";
+	text += row("ATE trans", evaluation.ate.translation_stats);
+	text += row("ATE rot", evaluation.ate.rotation_stats);
+	for(var i = 0; i < evaluation.rpe.length; ++i) {
+		var rpe = evaluation.rpe[i];
+		text += row("RPE " + rpe.distance + " trans", rpe.translation_stats);
+		text += row("RPE " + rpe.distance + " rot", rpe.rotation_stats);
+	}
+	return text;
+}
+
+/*
+ * evaluation_csv
+ * Format the per step errors of an evaluation as CSV: the ground truth pose,
+ * the aligned estimate, the ATE, and the RPE for each distance. RPE columns
+ * are left empty where no later pose is far enough along the path.
+ */
+function evaluation_csv(evaluation) {
+	var header = ["step", "truth_x", "truth_y", "truth_angle",
+		"estimate_x", "estimate_y", "estimate_angle",
+		"ate_translation", "ate_rotation"];
+	for(var k = 0; k < evaluation.rpe.length; ++k) {
+		header.push("rpe_" + evaluation.rpe[k].distance + "_translation");
+		header.push("rpe_" + evaluation.rpe[k].distance + "_rotation");
+	}
+	
+	var lines = [header.join(",")];
+	for(var i = 0; i < evaluation.truth.length; ++i) {
+		var truth = evaluation.truth[i], aligned = evaluation.ate.aligned[i];
+		var fields = [i, truth.x, truth.y, truth.angle,
+			aligned.x, aligned.y, aligned.angle,
+			evaluation.ate.translation[i], evaluation.ate.rotation[i]];
+		for(var k = 0; k < evaluation.rpe.length; ++k) {
+			var rpe = evaluation.rpe[k];
+			fields.push(rpe.translation[i] === null ? "" : rpe.translation[i]);
+			fields.push(rpe.rotation[i] === null ? "" : rpe.rotation[i]);
+		}
+		lines.push(fields.join(","));
+	}
+	return lines.join("\n") + "\n";
+}
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		align_trajectories : align_trajectories,
+		transform_location : transform_location,
+		relative_location : relative_location,
+		error_statistics : error_statistics,
+		absolute_trajectory_error : absolute_trajectory_error,
+		relative_pose_error : relative_pose_error,
+		evaluate_trajectory : evaluate_trajectory,
+		evaluation_table : evaluation_table,
+		evaluation_csv : evaluation_csv
+	};
+}
@@ -0,0 +1,251 @@
+/*
+ * map_server.js
+ * 
+ * Export and import of occupancy grids in the ROS map_server format, a PGM
+ * image accompanied by a YAML description of its resolution, origin, and
+ * occupancy thresholds. Depends on slam.js.
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var slam = require("./slam.js");
+	var grid_t = slam.grid_t;
+}
+
+/*
+ * map_server_unknown
+ * Pixel value map_server writes for cells that were never observed.
+ */
+var map_server_unknown = 205;
+
+/*
+ * grid_to_pgm
+ * Encode a grid of occupancy probabilities, as returned by dp_slam_t.estimate,
+ * as a binary (P5) PGM image. Occupied cells are dark and free cells are light.
+ * Cells holding a negative value are written as unknown. Returns a Uint8Array.
+ */
+function grid_to_pgm(grid, x_min, x_max, y_min, y_max) {
+	var width = x_max - x_min, height = y_max - y_min;
+	var header = "P5\n" + width + " " + height + "\n255\n";
+	var bytes = new Uint8Array(header.length + width * height);
+	
+	for(var i = 0; i < header.length; ++i) {
+		bytes[i] = header.charCodeAt(i);
+	}
+	
+	// Image rows run top to bottom, so the first row is the largest y.
+	var i = header.length;
+	for(var y = y_max - 1; y >= y_min; --y) {
+		for(var x = x_min; x < x_max; ++x) {
+			var p = grid[x][y];
+			if(p < 0.0) {
+				bytes[i++] = map_server_unknown;
+			}
+			else {
+				bytes[i++] = Math.round((1.0 - p) * 255);
+			}
+		}
+	}
+	
+	return bytes;
+}
+
+/*
+ * map_server_yaml
+ * Produce the map_server YAML description for an image whose pixels are
+ * resolution meters wide and whose lower left corner is at world coordinates
+ * (origin_x, origin_y).
+ */
+function map_server_yaml(image, resolution = 1.0, origin_x = 0.0,
+	origin_y = 0.0, occupied_thresh = 0.65, free_thresh = 0.196)
+{
+	return "image: " + image + "\n"
+		+ "resolution: " + resolution + "\n"
+		+ "origin: [" + origin_x + ", " + origin_y + ", 0.0]\n"
+		+ "negate: 0\n"
+		+ "occupied_thresh: " + occupied_thresh + "\n"
+		+ "free_thresh: " + free_thresh + "\n";
+}
+
+/*
+ * export_map_server
+ * Export the map of a dp_slam_t object over the given cell bounds, chosen with
+ * the given dp_slam_t.estimate estimator. The default, "best", exports the map
+ * of the highest weight particle without drawing from the filter's random
+ * number generator. The resolution and origin are taken from the grid of the
+ * map. Returns the estimated location, the PGM bytes, and the YAML text
+ * referring to the image by the given file name.
+ */
+function export_map_server(dp_slam, x_min, x_max, y_min, y_max, image,
+	estimator = "best")
+{
+	var estimate = dp_slam.estimate(x_min, x_max, y_min, y_max, estimator, -1.0);
+	var grid = dp_slam.map.grid;
+	return {
+			location : estimate.location,
+			pgm : grid_to_pgm(estimate.map, x_min, x_max, y_min, y_max),
+			yaml : map_server_yaml(
+					image,
+					grid.resolution,
+					grid.origin_x + x_min * grid.resolution,
+					grid.origin_y + y_min * grid.resolution
+				)
+		};
+}
+
+/*
+ * parse_pgm
+ * Decode a binary (P5) or ASCII (P2) PGM image given as an array of bytes.
+ * Returns its width, height, maximum value, and pixels in row major order.
+ */
+function parse_pgm(bytes) {
+	var i = 0;
+	var next_token = function() {
+		var token = "";
+		while(i < bytes.length) {
+			var c = String.fromCharCode(bytes[i]);
+			if(c == "#") {
+				while(i < bytes.length && bytes[i] != 10) ++i;
+			}
+			else if(/\s/.test(c)) {
+				++i;
+				if(token.length > 0) break;
+			}
+			else {
+				token += c;
+				++i;
+			}
+		}
+		return token;
+	};
+	
+	var magic = next_token();
+	if(magic != "P5" && magic != "P2") {
+		throw new Error("unsupported PGM format " + magic);
+	}
+	
+	var width = parseInt(next_token());
+	var height = parseInt(next_token());
+	var max = parseInt(next_token());
+	var data = [];
+	
+	for(var k = 0; k < width * height; ++k) {
+		if(magic == "P2") {
+			data.push(parseInt(next_token()));
+		}
+		else if(max < 256) {
+			data.push(bytes[i++]);
+		}
+		else {
+			data.push(bytes[i] * 256 + bytes[i + 1]);
+			i += 2;
+		}
+	}
+	
+	return { width : width, height : height, max : max, data : data };
+}
+
+/*
+ * parse_map_server_yaml
+ * Read the flat key: value YAML used by map_server.
+ */
+function parse_map_server_yaml(text) {
+	var result = {};
+	var lines = text.split("\n");
+	for(var i = 0; i < lines.length; ++i) {
+		var line = lines[i].split("#")[0];
+		var colon = line.indexOf(":");
+		if(colon < 0) continue;
+		
+		var key = line.slice(0, colon).trim();
+		var value = line.slice(colon + 1).trim();
+		if(value[0] == "[") {
+			result[key] = value.slice(1, -1).split(",").map(parseFloat);
+		}
+		else if(value.length > 0 && !isNaN(Number(value))) {
+			result[key] = Number(value);
+		}
+		else {
+			result[key] = value.replace(/^["']|["']$/g, "");
+		}
+	}
+	return result;
+}
+
+/*
+ * static_map_t
+ * Occupancy grid loaded from a map_server PGM image and YAML description.
+ * Cell (0, 0) is the lower left pixel of the image, and the grid_t built from
+ * the resolution and origin places it in world coordinates. Provides lookup of
+ * occupancy probabilities, with unobserved and out of bounds cells given
+ * probability 0.5, so that lookup and grid may be handed directly to the
+ * measurement models.
+ */
+var static_map_t = function(pgm_bytes, yaml_text) {
+	var _this = this;
+	var info = parse_map_server_yaml(yaml_text);
+	var image = parse_pgm(pgm_bytes);
+	
+	_this.width = image.width;
+	_this.height = image.height;
+	_this.resolution = info.resolution || 1.0;
+	_this.negate = info.negate || 0;
+	_this.occupied_thresh = info.occupied_thresh || 0.65;
+	_this.free_thresh = info.free_thresh || 0.196;
+	var origin = info.origin || [0.0, 0.0, 0.0];
+	_this.grid = new grid_t(_this.resolution, origin[0], origin[1]);
+	_this.x_min = 0;
+	_this.y_min = 0;
+	_this.x_max = _this.width;
+	_this.y_max = _this.height;
+	
+	// Occupancy per cell, indexed from the lower left corner.
+	_this.cells = [];
+	for(var row = 0; row < image.height; ++row) {
+		for(var col = 0; col < image.width; ++col) {
+			var value = image.data[(image.height - 1 - row) * image.width + col];
+			var occ = _this.negate ? value / image.max
+				: (image.max - value) / image.max;
+			if(occ > _this.occupied_thresh) {
+				_this.cells[row * image.width + col] = 1.0;
+			}
+			else if(occ < _this.free_thresh) {
+				_this.cells[row * image.width + col] = 0.0;
+			}
+			else {
+				_this.cells[row * image.width + col] = 0.5;
+			}
+		}
+	}
+	
+	_this.lookup = function(x, y) {
+		if(x < _this.x_min || x >= _this.x_max ||
+		   y < _this.y_min || y >= _this.y_max)
+		{
+			return 0.5;
+		}
+		return _this.cells[(y - _this.y_min) * _this.width + (x - _this.x_min)];
+	};
+	
+	_this.get_map = function(x_min, x_max, y_min, y_max) {
+		var map = [];
+		for(var x = x_min; x < x_max; ++x) {
+			map[x] = [];
+			for(var y = y_min; y < y_max; ++y) {
+				map[x][y] = _this.lookup(x, y);
+			}
+		}
+		return map;
+	};
+};
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		map_server_unknown : map_server_unknown,
+		grid_to_pgm : grid_to_pgm,
+		map_server_yaml : map_server_yaml,
+		export_map_server : export_map_server,
+		parse_pgm : parse_pgm,
+		parse_map_server_yaml : parse_map_server_yaml,
+		static_map_t : static_map_t
+	};
+}
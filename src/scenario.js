@@ -0,0 +1,260 @@
+/*
+ * scenario.js
+ * 
+ * JSON scenario files for the simulator: the wall segments of a world, the
+ * starting pose of the robot, a scripted command or waypoint sequence, and the
+ * scanner and noise parameters. Depends on slam.js and simulator.js.
+ * 
+ * A scenario file looks like
+ *   {
+ *     "version" : 1,
+ *     "walls" : [[x1, y1, x2, y2], ...],
+ *     "start" : { "x" : 0.0, "y" : 0.0, "angle" : 0.0 },
+ *     "scanner" : { "size" : 360, "range_max" : 100.0, "angle_min" : 0.0,
+ *                   "angle_increment" : 0.0175, "range_min" : 0.0,
+ *                   "mount" : { "x" : 0.0, "y" : 0.0, "angle" : 0.0 } },
+ *     "noise" : { "range" : 0.001, "odometry" : [0.0001, 0.0001, 0.00001] },
+ *     "seed" : 5489,
+ *     "commands" : [{ "linear" : 0.1, "angular" : 0.0, "dt" : 1.0,
+ *                     "repeat" : 10 }, ...],
+ *     "waypoints" : [{ "x" : 2.0, "y" : 0.0 }, ...],
+ *     "autopilot" : { "linear_speed" : 0.2, "angular_speed" : 0.3927,
+ *                     "tolerance" : 0.1, "laps" : 1, "period" : 1.0 }
+ *   }
+ * Every field but version is optional. The waypoints are driven by an
+ * autopilot_t after the commands, with a step every period time units.
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var slam = require("./slam.js");
+	var location_t = slam.location_t;
+	var copy_location = slam.copy_location;
+	var scanner_t = slam.scanner_t;
+	var default_seeds = slam.default_seeds;
+	var make_rng = slam.make_rng;
+	var simulator = require("./simulator.js");
+	var simulator_t = simulator.simulator_t;
+	var autopilot_t = simulator.autopilot_t;
+}
+
+/*
+ * scenario_version
+ * Version of the scenario file format written by scenario_t.to_json.
+ */
+var scenario_version = 1;
+
+/*
+ * scenario_t
+ * Takes the object read from a scenario file and fills in defaults for the
+ * missing fields. Provides functions to build a simulator_t for the scenario,
+ * to expand its command sequence, and to write it back out.
+ */
+var scenario_t = function(description = {}) {
+	var _this = this;
+	if(description.version !== undefined &&
+	   description.version != scenario_version)
+	{
+		throw new Error("unsupported scenario version " + description.version);
+	}
+	
+	var start = description.start || {};
+	var scanner = description.scanner || {};
+	var noise = description.noise || {};
+	var mount = scanner.mount || {};
+	var autopilot = description.autopilot || {};
+	
+	_this.walls = (description.walls || []).map(function(w) {
+		return { p1 : { x : w[0], y : w[1] }, p2 : { x : w[2], y : w[3] } };
+	});
+	_this.start = new location_t(start.x || 0.0, start.y || 0.0,
+		start.angle || 0.0);
+	_this.scanner = new scanner_t(
+			scanner.size || 360,
+			scanner.range_max || 100.0,
+			scanner.angle_min || 0.0,
+			scanner.angle_increment || 2.0 * Math.PI / (scanner.size || 360),
+			scanner.range_min || 0.0,
+			new location_t(mount.x || 0.0, mount.y || 0.0, mount.angle || 0.0)
+		);
+	_this.range_variance = (noise.range !== undefined) ? noise.range : 0.001;
+	_this.odometry_variance = noise.odometry || [0.0001, 0.0001, 0.00001];
+	_this.seed = (description.seed !== undefined) ? description.seed
+		: default_seeds.simulator;
+	_this.commands = description.commands || [];
+	_this.waypoints = description.waypoints || [];
+	_this.linear_speed = autopilot.linear_speed || 0.2;
+	_this.angular_speed = autopilot.angular_speed || Math.PI / 8;
+	_this.tolerance = autopilot.tolerance || 0.1;
+	_this.laps = (autopilot.laps != null) ? autopilot.laps : 1;
+	_this.period = autopilot.period || 1.0;
+	
+	/*
+	 * simulator
+	 * Build a simulator_t for the scenario. The walls are copied, so the
+	 * simulator may add or remove walls without changing the scenario.
+	 */
+	_this.simulator = function(rng = make_rng(_this.seed)) {
+		return new simulator_t(
+				_this.walls.map(function(w) {
+					return {
+							p1 : { x : w.p1.x, y : w.p1.y },
+							p2 : { x : w.p2.x, y : w.p2.y }
+						};
+				}),
+				_this.start,
+				_this.scanner,
+				_this.range_variance,
+				_this.odometry_variance,
+				rng
+			);
+	};
+	
+	/*
+	 * command_sequence
+	 * Expand the scripted commands into one { linear, angular, dt } command
+	 * per step.
+	 */
+	_this.command_sequence = function() {
+		var sequence = [];
+		for(var i = 0; i < _this.commands.length; ++i) {
+			var command = _this.commands[i];
+			var repeat = (command.repeat !== undefined) ? command.repeat : 1;
+			for(var k = 0; k < repeat; ++k) {
+				sequence.push({
+						linear : command.linear || 0.0,
+						angular : command.angular || 0.0,
+						dt : (command.dt !== undefined) ? command.dt : 1.0
+					});
+			}
+		}
+		return sequence;
+	};
+	
+	/*
+	 * autopilot
+	 * Build an autopilot_t that drives the scenario's waypoints.
+	 */
+	_this.autopilot = function() {
+		return new autopilot_t(
+				_this.waypoints.map(function(w) {
+					return { x : w.x, y : w.y };
+				}),
+				_this.linear_speed,
+				_this.angular_speed,
+				_this.tolerance,
+				_this.laps
+			);
+	};
+	
+	/*
+	 * to_json
+	 * Describe the scenario as an object in the scenario file format.
+	 */
+	_this.to_json = function() {
+		return {
+				version : scenario_version,
+				walls : _this.walls.map(function(w) {
+					return [w.p1.x, w.p1.y, w.p2.x, w.p2.y];
+				}),
+				start : {
+						x : _this.start.x,
+						y : _this.start.y,
+						angle : _this.start.angle
+					},
+				scanner : {
+						size : _this.scanner.size,
+						range_max : _this.scanner.range_max,
+						angle_min : _this.scanner.angle_min,
+						angle_increment : _this.scanner.angle_increment,
+						range_min : _this.scanner.range_min,
+						mount : {
+								x : _this.scanner.mount.x,
+								y : _this.scanner.mount.y,
+								angle : _this.scanner.mount.angle
+							}
+					},
+				noise : {
+						range : _this.range_variance,
+						odometry : _this.odometry_variance.slice()
+					},
+				seed : _this.seed,
+				commands : _this.commands,
+				waypoints : _this.waypoints,
+				autopilot : {
+						linear_speed : _this.linear_speed,
+						angular_speed : _this.angular_speed,
+						tolerance : _this.tolerance,
+						laps : _this.laps,
+						period : _this.period
+					}
+			};
+	};
+};
+
+/*
+ * parse_scenario
+ * Read a scenario from the text of a scenario file.
+ */
+function parse_scenario(text) {
+	return new scenario_t(JSON.parse(text));
+}
+
+/*
+ * scenario_json
+ * Write a scenario as the text of a scenario file.
+ */
+function scenario_json(scenario) {
+	return JSON.stringify(scenario.to_json(), null, "\t") + "\n";
+}
+
+/*
+ * load_scenario
+ * Read a scenario file from disk. Only available under Node.js.
+ */
+function load_scenario(path) {
+	return parse_scenario(require("fs").readFileSync(path, "utf8"));
+}
+
+/*
+ * run_scenario
+ * Drive a fresh simulator through the scenario's command sequence and then
+ * along its waypoints, feeding every step to dp_slam.update. The dp_slam_t
+ * should start at the scenario's start pose. The callback, if given, is called
+ * after each update with the step and the update's uncertainty report. Returns
+ * the simulator and the true pose before the first and after every step, ready
+ * to compare with dp_slam.trajectory.
+ */
+function run_scenario(scenario, dp_slam, callback = null) {
+	var simulator = scenario.simulator();
+	var commands = scenario.command_sequence();
+	var autopilot = scenario.autopilot();
+	var truth = [copy_location(simulator.pose)];
+	
+	var record = function(step) {
+		var uncertainty = dp_slam.update(step.odometry, step.scan);
+		truth.push(step.pose);
+		if(callback != null) {
+			callback(step, uncertainty);
+		}
+	};
+	
+	for(var i = 0; i < commands.length; ++i) {
+		record(simulator.step(commands[i]));
+	}
+	while(autopilot.drive(simulator, scenario.period)) {
+		record(simulator.step());
+	}
+	
+	return { simulator : simulator, truth : truth };
+}
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		scenario_version : scenario_version,
+		scenario_t : scenario_t,
+		parse_scenario : parse_scenario,
+		scenario_json : scenario_json,
+		load_scenario : load_scenario,
+		run_scenario : run_scenario
+	};
+}
@@ -0,0 +1,318 @@
+/*
+ * simulator.js
+ * 
+ * Headless simulation of a robot with odometry and a laser range scanner in a
+ * world of wall segments, with an autopilot to drive it along waypoints. Used
+ * by main.html and for running SLAM experiments under Node.js. Depends on
+ * slam.js.
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var slam = require("./slam.js");
+	var location_t = slam.location_t;
+	var copy_location = slam.copy_location;
+	var control_t = slam.control_t;
+	var scanner_t = slam.scanner_t;
+	var sample_normal = slam.sample_normal;
+	var normalize_angle = slam.normalize_angle;
+	var make_rng = slam.make_rng;
+	var default_seeds = slam.default_seeds;
+}
+
+/*
+ * intersection
+ * Find the intersection point of two line segments, each given as
+ * { p1 : { x, y }, p2 : { x, y } }. Returns the point as { x, y }, or null if
+ * the segments do not intersect.
+ */
+function intersection(line1, line2) {
+	var x12 = line1.p1.x - line1.p2.x;
+	var x34 = line2.p1.x - line2.p2.x;
+	var y12 = line1.p1.y - line1.p2.y;
+	var y34 = line2.p1.y - line2.p2.y;
+	
+	var c = x12 * y34 - y12 * x34;
+	
+	var a = line1.p1.x * line1.p2.y - line1.p1.y * line1.p2.x;
+	var b = line2.p1.x * line2.p2.y - line2.p1.y * line2.p2.x;
+	
+	var x = (a * x34 - b * x12) / c;
+	var y = (a * y34 - b * y12) / c;
+	
+	// Check the intersection is on both line segments, allowing for rounding
+	// when a segment is vertical or horizontal
+	var within = function(value, p, q) {
+		return value >= Math.min(p, q) - 1e-9 && value <= Math.max(p, q) + 1e-9;
+	};
+	if(within(x, line1.p1.x, line1.p2.x) && within(y, line1.p1.y, line1.p2.y) &&
+	   within(x, line2.p1.x, line2.p2.x) && within(y, line2.p1.y, line2.p2.y))
+	{
+		return { x : x, y : y };
+	}
+	
+	return null;
+}
+
+/*
+ * simulator_t
+ * Takes an array of wall segments, the starting pose of the robot, a scanner_t
+ * describing its laser, the variance of the range readings, the variances of
+ * the odometry x, y, and angle readings, and a random number generator. The
+ * robot may be moved with step, or by changing pose directly between steps.
+ */
+var simulator_t = function(walls = [], pose = new location_t(0.0, 0.0, 0.0),
+	scanner = new scanner_t(360, 100.0), range_variance = 0.001,
+	odometry_variance = [0.0001, 0.0001, 0.00001],
+	rng = make_rng(default_seeds.simulator))
+{
+	var _this = this;
+	_this.walls = walls;
+	_this.pose = copy_location(pose);
+	_this.scanner = scanner;
+	_this.range_variance = range_variance;
+	_this.odometry_variance = odometry_variance;
+	_this.rng = rng;
+	_this.odometry = new control_t(copy_location(pose), copy_location(pose));
+	_this.last_pose = copy_location(pose);
+	_this.beams = [];
+	
+	/*
+	 * move
+	 * Drive the robot along an arc with the given linear and angular velocity
+	 * for dt time units.
+	 */
+	_this.move = function(linear, angular, dt = 1.0) {
+		var start = copy_location(_this.pose);
+		if(Math.abs(angular) < 0.000001) {
+			_this.pose.x += Math.cos(start.angle) * linear * dt;
+			_this.pose.y += Math.sin(start.angle) * linear * dt;
+		}
+		else {
+			var r = linear / angular, angle = start.angle + angular * dt;
+			_this.pose.x += r * (Math.sin(angle) - Math.sin(start.angle));
+			_this.pose.y += r * (Math.cos(start.angle) - Math.cos(angle));
+			_this.pose.angle = angle;
+		}
+	};
+	
+	/*
+	 * scan
+	 * Cast every beam of the scanner from the sensor pose against the walls.
+	 * Returns the noisy range of the nearest wall for each beam, or 0.0 when a
+	 * beam hits nothing. The segments of the beams that hit are kept in beams.
+	 */
+	_this.scan = function() {
+		var sensor = _this.scanner.sensor_location(_this.pose);
+		var range_max = _this.scanner.range_max;
+		var data = [];
+		_this.beams = [];
+		
+		for(var i = 0; i < _this.scanner.size; ++i) {
+			var angle = sensor.angle + _this.scanner.beam_angle(i);
+			var beam = {
+					p1 : { x : sensor.x, y : sensor.y },
+					p2 : {
+							x : sensor.x + Math.cos(angle) * range_max,
+							y : sensor.y + Math.sin(angle) * range_max
+						}
+				};
+			
+			// Find the closest intersection
+			var best = null, best_range = 0.0;
+			for(var j = 0; j < _this.walls.length; ++j) {
+				var point = intersection(beam, _this.walls[j]);
+				if(point != null) {
+					var range = Math.sqrt(
+							Math.pow(sensor.x - point.x, 2) +
+							Math.pow(sensor.y - point.y, 2)
+						);
+					if(best == null || range < best_range) {
+						best = point;
+						best_range = range;
+					}
+				}
+			}
+			
+			if(best != null) {
+				data.push(
+						best_range
+						+ sample_normal(0.0, _this.range_variance, _this.rng)
+					);
+				_this.beams.push({ p1 : beam.p1, p2 : best });
+			}
+			else {
+				data.push(0.0);
+			}
+		}
+		
+		return data;
+	};
+	
+	/*
+	 * read_odometry
+	 * Update the odometry control with a noisy reading of the true pose if the
+	 * robot moved since the last reading.
+	 */
+	_this.read_odometry = function() {
+		if(_this.pose.equals(_this.last_pose)) {
+			_this.odometry.update(copy_location(_this.odometry.current));
+		}
+		else {
+			_this.odometry.update(new location_t(
+					_this.pose.x
+						+ sample_normal(0.0, _this.odometry_variance[0], _this.rng),
+					_this.pose.y
+						+ sample_normal(0.0, _this.odometry_variance[1], _this.rng),
+					_this.pose.angle
+						+ sample_normal(0.0, _this.odometry_variance[2], _this.rng)
+				));
+		}
+		_this.last_pose = copy_location(_this.pose);
+		return _this.odometry;
+	};
+	
+	/*
+	 * step
+	 * Apply a { linear, angular, dt } command, if one is given, then read the
+	 * odometry and the scanner. Returns the true pose, the odometry control_t,
+	 * and the scan.
+	 */
+	_this.step = function(command = null) {
+		if(command != null) {
+			_this.move(command.linear, command.angular, command.dt);
+		}
+		
+		var odometry = _this.read_odometry();
+		return {
+				pose : copy_location(_this.pose),
+				odometry : new control_t(
+						copy_location(odometry.current),
+						copy_location(odometry.last)
+					),
+				scan : _this.scan()
+			};
+	};
+};
+
+/*
+ * autopilot_t
+ * Takes an array of { x, y } waypoints, the linear and angular speed limits,
+ * the distance at which a waypoint counts as reached, and the number of laps
+ * to drive around the waypoints. Produces { linear, angular, dt } commands
+ * that turn the robot toward the next waypoint, turning in place when it faces
+ * more than max_heading_error away, and drive it there.
+ */
+var autopilot_t = function(waypoints = [], linear_speed = 0.2,
+	angular_speed = Math.PI / 8, tolerance = 0.1, laps = 1,
+	max_heading_error = Math.PI / 4)
+{
+	var _this = this;
+	_this.waypoints = waypoints;
+	_this.linear_speed = linear_speed;
+	_this.angular_speed = angular_speed;
+	_this.tolerance = tolerance;
+	_this.laps = laps;
+	_this.max_heading_error = max_heading_error;
+	_this.index = 0;
+	_this.lap = 0;
+	
+	/*
+	 * done
+	 * Returns true once every lap has been driven.
+	 */
+	_this.done = function() {
+		return _this.waypoints.length == 0 || _this.lap >= _this.laps;
+	};
+	
+	/*
+	 * reset
+	 * Start again from the first waypoint of the first lap.
+	 */
+	_this.reset = function() {
+		_this.index = 0;
+		_this.lap = 0;
+	};
+	
+	/*
+	 * target
+	 * Returns the waypoint being driven to, or null when done.
+	 */
+	_this.target = function() {
+		return _this.done() ? null : _this.waypoints[_this.index];
+	};
+	
+	/*
+	 * command
+	 * Returns the command to follow for the next dt time units from the given
+	 * pose, or null when done. Waypoints within the tolerance are skipped, at
+	 * most one lap's worth per call; if that leaves the robot within the
+	 * tolerance of its target, as when every waypoint is, the robot stays put.
+	 */
+	_this.command = function(pose, dt = 1.0) {
+		var target = _this.target();
+		var skipped = 0;
+		while(target != null && skipped < _this.waypoints.length &&
+		      Math.hypot(target.x - pose.x, target.y - pose.y) < _this.tolerance)
+		{
+			_this.index += 1;
+			if(_this.index >= _this.waypoints.length) {
+				_this.index = 0;
+				_this.lap += 1;
+			}
+			skipped += 1;
+			target = _this.target();
+		}
+		if(target == null) {
+			return null;
+		}
+		if(Math.hypot(target.x - pose.x, target.y - pose.y) < _this.tolerance) {
+			return { linear : 0.0, angular : 0.0, dt : dt };
+		}
+		
+		var distance = Math.hypot(target.x - pose.x, target.y - pose.y);
+		var heading = normalize_angle(
+				Math.atan2(target.y - pose.y, target.x - pose.x) - pose.angle
+			);
+		
+		// Turn no further than the heading error, so the robot does not
+		// overshoot at low update rates
+		var angular = Math.max(-_this.angular_speed,
+			Math.min(_this.angular_speed, heading / dt));
+		var linear = 0.0;
+		if(Math.abs(heading) <= _this.max_heading_error) {
+			linear = Math.min(_this.linear_speed, distance / dt);
+		}
+		
+		return { linear : linear, angular : angular, dt : dt };
+	};
+	
+	/*
+	 * drive
+	 * Move the simulator's robot for up to period time units, recomputing the
+	 * command every period / substeps. Returns false, without moving, once the
+	 * autopilot is done.
+	 */
+	_this.drive = function(simulator, period = 1.0, substeps = 10) {
+		if(_this.done()) {
+			return false;
+		}
+		
+		var dt = period / substeps;
+		for(var i = 0; i < substeps; ++i) {
+			var command = _this.command(simulator.pose, dt);
+			if(command == null) {
+				break;
+			}
+			simulator.move(command.linear, command.angular, command.dt);
+		}
+		return true;
+	};
+};
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		intersection : intersection,
+		simulator_t : simulator_t,
+		autopilot_t : autopilot_t
+	};
+}
@@ -3,15 +3,81 @@
  * Author: Aven Bross (dabross@alaska.edu)
  * 
  * Particle filter occupancy grid SLAM with distributed particle maps.
+ * 
+ * Loaded with a script tag this file defines its classes as globals and
+ * expects include/mersenne-twister.js to be loaded first. Under Node.js it is a
+ * CommonJS module exporting the same names (see the end of the file).
+ */
+
+if(typeof module !== "undefined" && module.exports) {
+	var MersenneTwister = require("../include/mersenne-twister.js");
+}
+
+/*
+ * default_seed
+ * Seed given to the random number generator of every model and filter that is
+ * not handed one explicitly, so that runs are reproducible by default.
+ */
+var default_seed = 5489;
+
+/*
+ * default_seeds
+ * Seeds derived from default_seed for each kind of consumer, so that default
+ * generators made for the motion models, the particle filter, and the
+ * simulator draw distinct streams rather than the same one.
+ */
+var default_seeds = {
+		sampling : default_seed,
+		odometry_motion : default_seed + 1,
+		velocity_motion : default_seed + 2,
+		particle_filter : default_seed + 3,
+		dp_slam : default_seed + 4,
+		simulator : default_seed + 5
+	};
+
+/*
+ * make_rng
+ * Construct a seeded random number generator. Any object providing a random()
+ * function returning values in [0, 1) may be used in its place.
+ */
+function make_rng(seed = default_seed) {
+	return new MersenneTwister(seed);
+}
+
+/*
+ * default_rng
+ * Shared generator used by the sampling functions when none is given.
+ */
+var default_rng = make_rng(default_seeds.sampling);
+
+/*
+ * rng_state
+ * Capture the internal state of a MersenneTwister so that it may be stored as
+ * JSON. Returns null for generators whose state is unknown.
+ */
+function rng_state(rng) {
+	if(rng == null || !Array.isArray(rng.mt)) return null;
+	return { mt : rng.mt.slice(), mti : rng.mti };
+}
+
+/*
+ * set_rng_state
+ * Restore a state captured by rng_state into a MersenneTwister.
  */
+function set_rng_state(rng, state) {
+	if(state == null) return;
+	rng.mt = state.mt.slice();
+	rng.mti = state.mti;
+}
 
 /*
  * sample_normal
- * Sample a random point from a normal distribution with the given parameters.
+ * Sample a random point from a normal distribution with the given parameters
+ * using the given random number generator.
  */
-function sample_normal(mean = 0.0, variance = 1.0) {
-	var u = 1 - Math.random(); // Subtraction to flip [0, 1) to (0, 1].
-	var v = 1 - Math.random();
+function sample_normal(mean = 0.0, variance = 1.0, rng = default_rng) {
+	var u = 1 - rng.random(); // Subtraction to flip [0, 1) to (0, 1].
+	var v = 1 - rng.random();
 	return mean + Math.sqrt( -2.0 * variance * Math.log( u ) )
 		* Math.cos( 2.0 * Math.PI * v );
 }
@@ -26,6 +92,42 @@ function prob_normal(value, mean = 0.0, variance = 1.0) {
 		* Math.exp(-0.5 * Math.pow(value - mean, 2) / variance);
 }
 
+/*
+ * log_sum_exp
+ * Computes the logarithm of the sum of the exponentials of the given values
+ * without underflowing when the values are very negative.
+ */
+function log_sum_exp(values) {
+	var max = -Infinity;
+	for(var i = 0; i < values.length; ++i) {
+		if(values[i] > max) max = values[i];
+	}
+	if(max == -Infinity) return -Infinity;
+	
+	var sum = 0.0;
+	for(var i = 0; i < values.length; ++i) {
+		sum += Math.exp(values[i] - max);
+	}
+	
+	return max + Math.log(sum);
+}
+
+/*
+ * cdf_normal
+ * Computes the cumulative distribution function of the standard normal
+ * distribution at the given value.
+ */
+function cdf_normal(value) {
+	// Abramowitz and Stegun formula 7.1.26 for the error function.
+	var x = Math.abs(value) / Math.SQRT2;
+	var t = 1.0 / (1.0 + 0.3275911 * x);
+	var erf = 1.0 - t * (0.254829592 + t * (-0.284496736
+		+ t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+		* Math.exp(-x * x);
+	
+	return 0.5 * (1.0 + (value < 0.0 ? -erf : erf));
+}
+
 /*
  * location_t
  * Stores coordinates and orientation of an object. Allows addition,
@@ -59,6 +161,16 @@ var location_t = function(x, y, angle) {
 	};
 };
 
+/*
+ * normalize_angle
+ * Wrap an angle into the range [-pi, pi).
+ */
+function normalize_angle(angle) {
+	angle = (angle + Math.PI) % (2.0 * Math.PI);
+	if(angle < 0.0) angle += 2.0 * Math.PI;
+	return angle - Math.PI;
+}
+
 /*
  * copy_location
  * Construct a location_t from another.
@@ -67,6 +179,75 @@ function copy_location(location) {
 	return new location_t(location.x, location.y, location.angle);
 }
 
+/*
+ * mean_location
+ * Computes the weighted mean of the given locations, using the circular mean
+ * for the orientation.
+ */
+function mean_location(locations, weights) {
+	var x = 0.0, y = 0.0, s = 0.0, c = 0.0, total = 0.0;
+	for(var i = 0; i < locations.length; ++i) {
+		x += weights[i] * locations[i].x;
+		y += weights[i] * locations[i].y;
+		s += weights[i] * Math.sin(locations[i].angle);
+		c += weights[i] * Math.cos(locations[i].angle);
+		total += weights[i];
+	}
+	return new location_t(x / total, y / total, Math.atan2(s, c));
+}
+
+/*
+ * pose_covariance
+ * Computes the weighted 3x3 covariance of the (x, y, angle) components of the
+ * given locations about their weighted mean, wrapping orientation differences
+ * into [-pi, pi). Returns the mean location and the covariance matrix.
+ */
+function pose_covariance(locations, weights) {
+	var mean = mean_location(locations, weights);
+	var covariance = [[0.0, 0.0, 0.0], [0.0, 0.0, 0.0], [0.0, 0.0, 0.0]];
+	var total = 0.0;
+	
+	for(var i = 0; i < locations.length; ++i) {
+		var d = [
+				locations[i].x - mean.x,
+				locations[i].y - mean.y,
+				normalize_angle(locations[i].angle - mean.angle)
+			];
+		for(var a = 0; a < 3; ++a) {
+			for(var b = 0; b < 3; ++b) {
+				covariance[a][b] += weights[i] * d[a] * d[b];
+			}
+		}
+		total += weights[i];
+	}
+	
+	for(var a = 0; a < 3; ++a) {
+		for(var b = 0; b < 3; ++b) {
+			covariance[a][b] /= total;
+		}
+	}
+	
+	return { mean : mean, covariance : covariance };
+}
+
+/*
+ * error_ellipse
+ * Computes the semi-axes and orientation of the ellipse of the position
+ * components of a pose covariance, scaled to the given number of standard
+ * deviations.
+ */
+function error_ellipse(covariance, sigmas = 2.0) {
+	var a = covariance[0][0], b = covariance[0][1], c = covariance[1][1];
+	var root = Math.sqrt(Math.pow(0.5 * (a - c), 2) + b * b);
+	var major = 0.5 * (a + c) + root, minor = 0.5 * (a + c) - root;
+	
+	return {
+			major : sigmas * Math.sqrt(Math.max(major, 0.0)),
+			minor : sigmas * Math.sqrt(Math.max(minor, 0.0)),
+			angle : 0.5 * Math.atan2(2.0 * b, a - c)
+		};
+}
+
 /*
  * control_t
  * Stores odometry information between two timesteps.
@@ -86,17 +267,51 @@ var control_t = function(current_location, old_location) {
 	};
 };
 
+/*
+ * velocity_control_t
+ * Stores commanded translational and rotational velocity held over a time
+ * step.
+ */
+var velocity_control_t = function(linear, angular, dt) {
+	var _this = this;
+	_this.linear = linear;
+	_this.angular = angular;
+	_this.dt = dt;
+	
+	_this.update = function(linear, angular, dt) {
+		_this.linear = linear;
+		_this.angular = angular;
+		_this.dt = dt;
+	};
+	
+	_this.still = function() {
+		return _this.dt == 0.0 || (_this.linear == 0.0 && _this.angular == 0.0);
+	};
+};
+
 /*
  * odometry_motion_model_t
- * Takes variance parameters a1, a2, a3, and a4. Provides function to predict
- * new locations from a given location based on odometry controls.
+ * Takes variance parameters a1, a2, a3, and a4, and optionally a random number
+ * generator. Provides function to predict new locations from a given location
+ * based on odometry controls.
  */
-var odometry_motion_model_t = function(a1, a2, a3, a4) {
+var odometry_motion_model_t = function(a1, a2, a3, a4,
+	rng = make_rng(default_seeds.odometry_motion))
+{
 	var _this = this;
 	_this.a1 = a1;
 	_this.a2 = a2;
 	_this.a3 = a3;
 	_this.a4 = a4;
+	_this.rng = rng;
+	
+	_this.snapshot = function() {
+		return { rng : rng_state(_this.rng) };
+	};
+	
+	_this.restore = function(state) {
+		set_rng_state(_this.rng, state.rng);
+	};
 	
 	_this.sample = function(control, location) {
 		if(control.still()) return location;
@@ -111,18 +326,21 @@ var odometry_motion_model_t = function(a1, a2, a3, a4) {
 		var dhat_r1 = sample_normal(
 				delta_r1,
 				_this.a1 * Math.pow(delta_r1, 2)
-					+ _this.a2 * Math.pow(delta_trans, 2)
+					+ _this.a2 * Math.pow(delta_trans, 2),
+				_this.rng
 			);
 		var dhat_trans = sample_normal(
 				delta_trans,
 				_this.a3 * Math.pow(delta_trans, 2)
 					+ _this.a4 * Math.pow(delta_r1, 2)
-					+ _this.a4 * Math.pow(delta_r2, 2)
+					+ _this.a4 * Math.pow(delta_r2, 2),
+				_this.rng
 			);
 		var dhat_r2 = sample_normal(
 				delta_r2,
 				_this.a1 * Math.pow(delta_r2, 2)
-					+ _this.a2 * Math.pow(delta_trans, 2)
+					+ _this.a2 * Math.pow(delta_trans, 2),
+				_this.rng
 			);
 		
 		var new_location = copy_location(location);
@@ -133,17 +351,127 @@ var odometry_motion_model_t = function(a1, a2, a3, a4) {
 	};
 };
 
+/*
+ * velocity_motion_model_t
+ * Takes variance parameters a1 through a6, and optionally a random number
+ * generator. Provides function to predict new locations from a given location
+ * based on velocity controls. Parameters a5 and a6 control the noise of the
+ * final rotation that keeps the model from being restricted to circular arcs.
+ */
+var velocity_motion_model_t = function(a1, a2, a3, a4, a5, a6,
+	rng = make_rng(default_seeds.velocity_motion))
+{
+	var _this = this;
+	_this.a1 = a1;
+	_this.a2 = a2;
+	_this.a3 = a3;
+	_this.a4 = a4;
+	_this.a5 = a5;
+	_this.a6 = a6;
+	_this.rng = rng;
+	
+	_this.snapshot = function() {
+		return { rng : rng_state(_this.rng) };
+	};
+	
+	_this.restore = function(state) {
+		set_rng_state(_this.rng, state.rng);
+	};
+	
+	_this.sample = function(control, location) {
+		if(control.still()) return location;
+		
+		var v = control.linear, w = control.angular, dt = control.dt;
+		
+		var v_hat = sample_normal(
+				v,
+				_this.a1 * Math.pow(v, 2) + _this.a2 * Math.pow(w, 2),
+				_this.rng
+			);
+		var w_hat = sample_normal(
+				w,
+				_this.a3 * Math.pow(v, 2) + _this.a4 * Math.pow(w, 2),
+				_this.rng
+			);
+		var g_hat = sample_normal(
+				0.0,
+				_this.a5 * Math.pow(v, 2) + _this.a6 * Math.pow(w, 2),
+				_this.rng
+			);
+		
+		var new_location = copy_location(location);
+		if(Math.abs(w_hat) < 0.000001) {
+			new_location.add(v_hat * dt, 0.0);
+		}
+		else {
+			var r = v_hat / w_hat, angle = location.angle + w_hat * dt;
+			new_location.x += r * (Math.sin(angle) - Math.sin(location.angle));
+			new_location.y += r * (Math.cos(location.angle) - Math.cos(angle));
+			new_location.angle = angle;
+		}
+		new_location.add(0.0, g_hat * dt);
+		
+		return new_location;
+	};
+};
+
+/*
+ * grid_t
+ * Takes the size of a grid cell in world units and the world coordinates of
+ * the corner of cell (0, 0). Converts between world coordinates and the
+ * integer cell indices used by maps.
+ */
+var grid_t = function(resolution = 1.0, origin_x = 0.0, origin_y = 0.0) {
+	var _this = this;
+	_this.resolution = resolution;
+	_this.origin_x = origin_x;
+	_this.origin_y = origin_y;
+	
+	_this.cell_x = function(x) {
+		return Math.floor((x - _this.origin_x) / _this.resolution);
+	};
+	
+	_this.cell_y = function(y) {
+		return Math.floor((y - _this.origin_y) / _this.resolution);
+	};
+	
+	_this.to_grid = function(location) {
+		return new location_t(
+				(location.x - _this.origin_x) / _this.resolution,
+				(location.y - _this.origin_y) / _this.resolution,
+				location.angle
+			);
+	};
+	
+	_this.center = function(x, y) {
+		return new location_t(
+				_this.origin_x + (x + 0.5) * _this.resolution,
+				_this.origin_y + (y + 0.5) * _this.resolution,
+				0.0
+			);
+	};
+};
+
+/*
+ * unit_grid
+ * Grid with one world unit per cell and cell (0, 0) at the world origin, used
+ * when no grid is given.
+ */
+var unit_grid = new grid_t();
+
 /*
  * ray_trace
- * Trace a rasterized line from start_location to end_location, calling
- * evalute_cell on each cell. The evaluate_cell function must take x and y
- * coordinates, and n the number of cells remaining on the line. We also
- * compute a distance_per_cell value to approximately handle the fact that
- * diagonal traces will hit more cells than horizontal traces.
- */
-function ray_trace(start_location, end_location, evaluate_cell) {
-	var x0 = start_location.x, y0 = start_location.y;
-	var x1 = end_location.x, y1 = end_location.y;
+ * Trace a rasterized line from start_location to end_location, given in world
+ * coordinates, through the cells of the given grid, calling evalute_cell on
+ * each cell. The evaluate_cell function must take x and y cell indices, and n
+ * the number of cells remaining on the line.
+ */
+function ray_trace(start_location, end_location, evaluate_cell,
+	grid = unit_grid)
+{
+	var start = grid.to_grid(start_location), end = grid.to_grid(end_location);
+	var x0 = start.x, y0 = start.y;
+	var x1 = end.x, y1 = end.y;
 	var dx = Math.abs(x1 - x0), dy = Math.abs(y1 - y0);
 	
 	var x = Math.floor(x0), y = Math.floor(y0);
@@ -197,95 +525,308 @@ function ray_trace(start_location, end_location, evaluate_cell) {
 	}
 };
 
+/*
+ * scanner_t
+ * Describes the geometry of a range scanner: the number of beams in a scan,
+ * the maximum range, the angle of the first beam and the angle between beams
+ * relative to the sensor heading, the minimum valid range, and the pose of the
+ * sensor relative to the robot. Defaults to a full 360 degree scan whose first
+ * beam points along the heading of a sensor at the robot's center.
+ */
+var scanner_t = function(size, range_max, angle_min = 0.0,
+	angle_increment = 2.0 * Math.PI / size, range_min = 0.0,
+	mount = new location_t(0.0, 0.0, 0.0))
+{
+	var _this = this;
+	_this.size = size;
+	_this.range_max = range_max;
+	_this.angle_min = angle_min;
+	_this.angle_increment = angle_increment;
+	_this.range_min = range_min;
+	_this.mount = mount;
+	
+	_this.beam_angle = function(i) {
+		return _this.angle_min + i * _this.angle_increment;
+	};
+	
+	_this.sensor_location = function(robot_location) {
+		var c = Math.cos(robot_location.angle), s = Math.sin(robot_location.angle);
+		return new location_t(
+				robot_location.x + c * _this.mount.x - s * _this.mount.y,
+				robot_location.y + s * _this.mount.x + c * _this.mount.y,
+				normalize_angle(robot_location.angle + _this.mount.angle)
+			);
+	};
+};
+
 /*
  * beam_measurement_model_t
- * Takes range sensor variance. Provides functions to compute the probability
- * of measurement vectors and individual measurements for a given map and
- * robot location.
+ * Takes range sensor variance, a scanner_t describing the scan geometry, and
+ * the number of beams used per update, followed by the weights of the hit,
+ * short, max, and random components of the beam mixture and the rate of the
+ * exponential short reading distribution. Every floor(size / samples)th beam
+ * is used, so slightly more than samples beams when samples does not divide
+ * the scan size. Provides functions to compute the probability of measurement
+ * vectors and individual measurements for a given map and robot location, and
+ * to learn the mixture parameters from logged scans. Beams are cast from the
+ * sensor pose given by the scanner's mount. Zero readings are treated as max
+ * range readings, and readings that are null, NaN (beams outside the scanner's
+ * field of view), or below the minimum range are ignored. Every function
+ * taking a map_lookup also takes the grid_t of the map, which defaults to
+ * unit_grid. Map lookups return occupancy probabilities, and cells above the
+ * model's threshold are treated as obstacles. Map updates record the cells
+ * each beam passed through as free and the cell it ended in as occupied.
  */
-var beam_measurement_model_t = function(variance, max_ray, samples, size) {
+var beam_measurement_model_t = function(variance, scanner, samples,
+	z_hit = 0.8, z_short = 0.1, z_max = 0.05, z_rand = 0.05, lambda_short = 0.1)
+{
 	var _this = this;
 	_this.variance = variance;
-	_this.max_ray = max_ray;
-	_this.size = size;
+	_this.scanner = scanner;
+	_this.max_ray = scanner.range_max;
+	_this.size = scanner.size;
 	_this.samples = samples;
-	_this.range_size = size / samples;
+	// Whole number stride between the beams used, so that scans whose size is
+	// not a multiple of samples are still read at integer indices
+	_this.range_size = Math.max(1, Math.floor(_this.size / samples));
 	_this.start_index = 0;
-	_this.delta_rot = 2.0 * Math.PI / _this.size;
+	_this.z_hit = z_hit;
+	_this.z_short = z_short;
+	_this.z_max = z_max;
+	_this.z_rand = z_rand;
+	_this.lambda_short = lambda_short;
+	_this.threshold = 0.5;
+	
+	_this.snapshot = function() {
+		return {
+				variance : _this.variance,
+				z_hit : _this.z_hit,
+				z_short : _this.z_short,
+				z_max : _this.z_max,
+				z_rand : _this.z_rand,
+				lambda_short : _this.lambda_short,
+				start_index : _this.start_index
+			};
+	};
+	
+	_this.restore = function(state) {
+		_this.variance = state.variance;
+		_this.z_hit = state.z_hit;
+		_this.z_short = state.z_short;
+		_this.z_max = state.z_max;
+		_this.z_rand = state.z_rand;
+		_this.lambda_short = state.lambda_short;
+		_this.start_index = Math.floor(state.start_index) % _this.range_size;
+	};
+	
+	_this.valid = function(range) {
+		return typeof range === "number" && !isNaN(range) &&
+			(range == 0.0 || range >= _this.scanner.range_min);
+	};
+	
+	_this.clip = function(range) {
+		if(range == 0.0 || range > _this.max_ray) return _this.max_ray;
+		return range;
+	};
 	
-	_this.prob_ray = function(robot_location, hit_location, map_lookup) {
+	_this.expected_range = function(robot_location, angle, map_lookup,
+		grid = unit_grid)
+	{
 		var end_location = copy_location(robot_location);
-		end_location.add(_this.max_ray, hit_location.angle);
+		end_location.add(_this.max_ray, angle);
 		var exp_hit = null;
 		
 		ray_trace(
 				robot_location,
 				end_location,
 				function(x, y, n) {
-					if(map_lookup(x, y)) {
-						exp_hit = new location_t(x + 0.5, y + 0.5, 0.0);
+					if(map_lookup(x, y) > _this.threshold) {
+						exp_hit = grid.center(x, y);
 						
 						return true;
 					}
 					
 					return false;
-				}
+				},
+				grid
 			);
 		
 		if(exp_hit != null) {
-			var actual = robot_location.distance(hit_location);
-			var expected = robot_location.distance(exp_hit);
-			
-			return prob_normal(actual, expected, _this.variance) * 100.0;
+			return Math.min(robot_location.distance(exp_hit), _this.max_ray);
 		}
 		
-		return 1.0;
+		return _this.max_ray;
+	};
+	
+	_this.prob_hit = function(actual, expected) {
+		if(actual < 0.0 || actual > _this.max_ray) return 0.0;
+		
+		var sigma = Math.sqrt(_this.variance);
+		var eta = cdf_normal((_this.max_ray - expected) / sigma)
+			- cdf_normal(-expected / sigma);
+		
+		return prob_normal(actual, expected, _this.variance) / eta;
+	};
+	
+	_this.prob_short = function(actual, expected) {
+		if(actual < 0.0 || actual > expected) return 0.0;
+		
+		var eta = 1.0 - Math.exp(-_this.lambda_short * expected);
+		if(eta <= 0.0) return 0.0;
+		
+		return _this.lambda_short * Math.exp(-_this.lambda_short * actual) / eta;
+	};
+	
+	_this.prob_max = function(actual) {
+		return (actual >= _this.max_ray) ? 1.0 : 0.0;
+	};
+	
+	_this.prob_rand = function(actual) {
+		return (actual >= 0.0 && actual < _this.max_ray) ? 1.0 / _this.max_ray : 0.0;
+	};
+	
+	_this.prob_range = function(actual, expected) {
+		return _this.z_hit * _this.prob_hit(actual, expected)
+			+ _this.z_short * _this.prob_short(actual, expected)
+			+ _this.z_max * _this.prob_max(actual)
+			+ _this.z_rand * _this.prob_rand(actual);
+	};
+	
+	_this.prob_ray = function(sensor_location, hit_location, map_lookup,
+		grid = unit_grid)
+	{
+		var actual = _this.clip(sensor_location.distance(hit_location));
+		var expected = _this.expected_range(
+				sensor_location,
+				hit_location.angle - sensor_location.angle,
+				map_lookup,
+				grid
+			);
+		
+		return _this.prob_range(actual, expected);
 	};
 	
-	_this.prob = function(robot_location, measurement, map_lookup) {
-		var q = 1.0;
-		var rot = 1.0 * _this.delta_rot * _this.start_index;
+	_this.log_prob = function(robot_location, measurement, map_lookup,
+		grid = unit_grid)
+	{
+		var q = 0.0;
+		var sensor_location = _this.scanner.sensor_location(robot_location);
 		
 		for(var i = _this.start_index; i < _this.size; i += _this.range_size) {
-			if(measurement[i] != 0.0) {
-				var hit_location = copy_location(robot_location);
-				hit_location.add(measurement[i], rot);
+			if(_this.valid(measurement[i])) {
+				var hit_location = copy_location(sensor_location);
+				hit_location.add(
+						_this.clip(measurement[i]),
+						_this.scanner.beam_angle(i)
+					);
 				
-				p = _this.prob_ray(robot_location, hit_location, map_lookup);
-				q *= p;
+				q += Math.log(
+						_this.prob_ray(
+								sensor_location,
+								hit_location,
+								map_lookup,
+								grid
+							)
+					);
 			}
-			
-			rot += _this.delta_rot * _this.range_size;
 		}
-		//console.log(q);
+		
 		return q;
 	};
 	
-	_this.update = function(robot_location, measurement, map_lookup, map_update) {
-		var rot = 1.0 * _this.delta_rot * _this.start_index;
+	_this.prob = function(robot_location, measurement, map_lookup,
+		grid = unit_grid)
+	{
+		return Math.exp(
+				_this.log_prob(robot_location, measurement, map_lookup, grid)
+			);
+	};
+	
+	/*
+	 * learn
+	 * Estimate the mixture parameters by expectation maximization. Takes an
+	 * array of logged scans, each an object with a location, a measurement
+	 * vector, and a map_lookup function and optional grid for the map the scan
+	 * was taken in.
+	 */
+	_this.learn = function(scans, iterations = 20) {
+		var actual = [], expected = [];
+		for(var j = 0; j < scans.length; ++j) {
+			for(var i = 0; i < _this.size; ++i) {
+				if(!_this.valid(scans[j].measurement[i])) continue;
+				
+				actual.push(_this.clip(scans[j].measurement[i]));
+				expected.push(_this.expected_range(
+						_this.scanner.sensor_location(scans[j].location),
+						_this.scanner.beam_angle(i),
+						scans[j].map_lookup,
+						scans[j].grid || unit_grid
+					));
+			}
+		}
+		if(actual.length == 0) return;
 		
-		for(var i = _this.start_index; i < _this.size; i += _this.range_size) {
-			if(measurement[i] != 0.0) {
-				var hit_location = copy_location(robot_location);
-				hit_location.add(measurement[i], rot);
+		for(var k = 0; k < iterations; ++k) {
+			var e_hit = 0.0, e_short = 0.0, e_max = 0.0, e_rand = 0.0;
+			var hit_error = 0.0, short_range = 0.0;
+			
+			for(var i = 0; i < actual.length; ++i) {
+				var p_hit = _this.z_hit * _this.prob_hit(actual[i], expected[i]);
+				var p_short = _this.z_short
+					* _this.prob_short(actual[i], expected[i]);
+				var p_max = _this.z_max * _this.prob_max(actual[i]);
+				var p_rand = _this.z_rand * _this.prob_rand(actual[i]);
+				var total = p_hit + p_short + p_max + p_rand;
+				if(total <= 0.0) continue;
 				
-				//console.log("measurement " + i + " length " + measurement[i]
-					//+ " hit (" + hit_location.x + ", " + hit_location.y + ")");
+				e_hit += p_hit / total;
+				e_short += p_short / total;
+				e_max += p_max / total;
+				e_rand += p_rand / total;
+				hit_error += p_hit / total * Math.pow(actual[i] - expected[i], 2);
+				short_range += p_short / total * actual[i];
+			}
+			
+			var sum = e_hit + e_short + e_max + e_rand;
+			if(sum <= 0.0) return;
+			
+			_this.z_hit = e_hit / sum;
+			_this.z_short = e_short / sum;
+			_this.z_max = e_max / sum;
+			_this.z_rand = e_rand / sum;
+			if(e_hit > 0.0 && hit_error > 0.0) {
+				_this.variance = hit_error / e_hit;
+			}
+			if(e_short > 0.0 && short_range > 0.0) {
+				_this.lambda_short = e_short / short_range;
+			}
+		}
+	};
+	
+	_this.update = function(robot_location, measurement, map_lookup, map_update,
+		grid = unit_grid)
+	{
+		var sensor_location = _this.scanner.sensor_location(robot_location);
+		
+		for(var i = _this.start_index; i < _this.size; i += _this.range_size) {
+			if(_this.valid(measurement[i])) {
+				var range = _this.clip(measurement[i]);
+				var hit = (range < _this.max_ray);
+				var hit_location = copy_location(sensor_location);
+				hit_location.add(range, _this.scanner.beam_angle(i));
 				
+				// Cells the beam passed through are observed free, and the end
+				// cell is observed occupied unless this was a max range reading.
 				ray_trace(
-						robot_location,
+						sensor_location,
 						hit_location,
 						function(x, y, n) {
-							if(n > 1 && map_lookup(x, y) == true) return true;
-							else if(n == 0) {
-								map_update(true, x, y);
-							}
+							map_update(n == 0 && hit, x, y);
 							return false;
-						}
+						},
+						grid
 					);
 			}
-			
-			rot += _this.delta_rot * _this.range_size;
 		}
 	};
 	
@@ -295,165 +836,801 @@ var beam_measurement_model_t = function(variance, max_ray, samples, size) {
 };
 
 /*
- * particle_filter_t
- * A simple particle filter to estimate a posterior distribution over a finite
- * number of sample points. Call predict and weight each timestep to estimate
- * the posterior distribution with controls and measurements. Call resample to
- * eliminate low probability particles when needed to produce better estimates
- * with lower particle counts.
+ * likelihood_field_model_t
+ * Takes a beam_measurement_model_t describing the scan geometry, the maximum
+ * distance searched for obstacles around each beam end point, the end point
+ * distance variance, and the weights of the hit and random components. Scores
+ * each beam end point by its distance to the nearest occupied cell rather than
+ * tracing the beam through the map. Readings at or beyond the maximum range,
+ * including zero readings, have no end point and are skipped. Distances are in
+ * world units. Map updates are left to the beam model.
  */
-var particle_filter_t = function(prediction_model, weight_model, size,
-	elimination_factor = 0.01)
+var likelihood_field_model_t = function(beam_model, max_distance, variance,
+	z_hit = 0.9, z_rand = 0.1)
 {
 	var _this = this;
-	_this.size = size;
-	_this.n = 1.0 / size;
-	_this.threshold = elimination_factor * _this.n;
-	_this.prediction_model = prediction_model;
-	_this.weight_model = weight_model;
-	_this.weights = [];
-	for(var i = 0; i < _this.size; ++i) {
-		_this.weights[i] = _this.n;
-	}
+	_this.beam_model = beam_model;
+	_this.max_distance = max_distance;
+	_this.variance = variance;
+	_this.z_hit = z_hit;
+	_this.z_rand = z_rand;
 	
-	_this.predict = function(particles, control) {
-		var new_particles = [];
-		for(var i = 0; i < _this.size; ++i) {
-			new_particles[i] = _this.prediction_model(particles[i], control);
-		}
-		return new_particles;
+	_this.snapshot = function() {
+		return { beam_model : _this.beam_model.snapshot() };
 	};
 	
-	_this.weight = function(particles, measurement) {
-		var sum = 0.0;
-		for(var i = 0; i < _this.size; ++i) {
-			if(_this.weights[i] > _this.threshold) {
-				_this.weights[i] *= _this.weight_model(particles[i], measurement);
-			}
-			else {
-				_this.weights[i] = 0.0;
-			}
-			sum += _this.weights[i];
-		}
+	_this.restore = function(state) {
+		_this.beam_model.restore(state.beam_model);
+	};
+	
+	_this.nearest_distance = function(hit_location, map_lookup,
+		grid = unit_grid)
+	{
+		var cx = grid.cell_x(hit_location.x), cy = grid.cell_y(hit_location.y);
+		var radius = Math.ceil(_this.max_distance / grid.resolution);
+		var best = _this.max_distance;
 		
-		for(var i = 0; i < _this.size; ++i) {
-			if(sum > 0.0000000000000000000000001) {
-				_this.weights[i] /= sum;
-			}
-			else {
-				_this.weights[i] = _this.n;
+		for(var x = cx - radius; x <= cx + radius; ++x) {
+			for(var y = cy - radius; y <= cy + radius; ++y) {
+				if(map_lookup(x, y) > _this.beam_model.threshold) {
+					var d = hit_location.distance(grid.center(x, y));
+					if(d < best) best = d;
+				}
 			}
 		}
+		
+		return best;
 	};
 	
-	_this.effective_sample_size = function() {
-		var sum = 0.0;
-		for(var i = 0; i < _this.size; ++i) {
-			sum += Math.pow(_this.weights[i], 2);
-		}
+	_this.prob_ray = function(sensor_location, hit_location, map_lookup,
+		grid = unit_grid)
+	{
+		var d = _this.nearest_distance(hit_location, map_lookup, grid);
 		
-		return 1.0 / sum;
+		return _this.z_hit * prob_normal(d, 0.0, _this.variance)
+			+ _this.z_rand / _this.beam_model.max_ray;
 	};
 	
-	_this.resample = function(particles) {
-		var new_particles = [];
-		var r = Math.random() * _this.n, c = _this.weights[0], i = 0;
+	_this.log_prob = function(robot_location, measurement, map_lookup,
+		grid = unit_grid)
+	{
+		var model = _this.beam_model;
+		var q = 0.0;
+		var sensor_location = model.scanner.sensor_location(robot_location);
 		
-		for(var m = 0; m < _this.size; ++m) {
-			var u = r + m * _this.n;
-			while(u > c) {
-				++i;
-				c += _this.weights[i];
+		for(var i = model.start_index; i < model.size; i += model.range_size) {
+			if(model.valid(measurement[i]) && measurement[i] != 0.0 &&
+			   measurement[i] < model.max_ray)
+			{
+				var hit_location = copy_location(sensor_location);
+				hit_location.add(measurement[i], model.scanner.beam_angle(i));
+				
+				q += Math.log(
+						_this.prob_ray(
+								sensor_location,
+								hit_location,
+								map_lookup,
+								grid
+							)
+					);
 			}
-			new_particles.push(particles[i]);
-		}
-		
-		for(var i = 0; i < _this.size; ++i) {
-			_this.weights[i] = _this.n;
 		}
 		
-		return new_particles;
+		return q;
 	};
 	
-	_this.sample = function(particles) {
-		var r = Math.random(), c = _this.weights[0], i = 0;	
-		while(r > c) {
-			++i;
-			c += _this.weights[i];
-		}
-		return particles[i];
+	_this.prob = function(robot_location, measurement, map_lookup,
+		grid = unit_grid)
+	{
+		return Math.exp(
+				_this.log_prob(robot_location, measurement, map_lookup, grid)
+			);
 	};
-};
-
-/*
- * dp_map_t
- * Simple two dimensional distributed particle map with binary occupancy values.
+	
+	_this.update = function(robot_location, measurement, map_lookup, map_update,
+		grid = unit_grid)
+	{
+		_this.beam_model.update(
+				robot_location,
+				measurement,
+				map_lookup,
+				map_update,
+				grid
+			);
+	};
+	
+	_this.increment = function() {
+		_this.beam_model.increment();
+	};
+};
+
+/*
+ * select_sorted
+ * Map sorted points in [0, 1) to the indices of the weights whose cumulative
+ * intervals contain them.
+ */
+function select_sorted(weights, points) {
+	var indices = [], c = weights[0], i = 0;
+	for(var m = 0; m < points.length; ++m) {
+		while(points[m] > c && i < weights.length - 1) {
+			++i;
+			c += weights[i];
+		}
+		indices.push(i);
+	}
+	return indices;
+}
+
+/*
+ * resample_systematic
+ * Low variance resampling with a single random offset shared by count evenly
+ * spaced points. Returns the indices of the selected weights.
+ */
+function resample_systematic(weights, count, rng) {
+	var points = [], r = rng.random() / count;
+	for(var m = 0; m < count; ++m) {
+		points.push(r + m / count);
+	}
+	return select_sorted(weights, points);
+}
+
+/*
+ * resample_stratified
+ * Resampling with one independent random point in each of count equal
+ * strata. Returns the indices of the selected weights.
+ */
+function resample_stratified(weights, count, rng) {
+	var points = [];
+	for(var m = 0; m < count; ++m) {
+		points.push((m + rng.random()) / count);
+	}
+	return select_sorted(weights, points);
+}
+
+/*
+ * resample_multinomial
+ * Resampling with count independent random points. Returns the indices of
+ * the selected weights.
+ */
+function resample_multinomial(weights, count, rng) {
+	var points = [];
+	for(var m = 0; m < count; ++m) {
+		points.push(rng.random());
+	}
+	points.sort(function(a, b) { return a - b; });
+	return select_sorted(weights, points);
+}
+
+/*
+ * resample_residual
+ * Deterministically keep floor(count * w) copies of each weight, then fill the
+ * remaining slots by multinomial resampling of the residual weights. Returns
+ * the indices of the selected weights.
+ */
+function resample_residual(weights, count, rng) {
+	var indices = [], residuals = [], residual_sum = 0.0;
+	for(var i = 0; i < weights.length; ++i) {
+		var copies = Math.floor(count * weights[i]);
+		for(var k = 0; k < copies; ++k) {
+			indices.push(i);
+		}
+		residuals.push(count * weights[i] - copies);
+		residual_sum += residuals[i];
+	}
+	
+	var remaining = count - indices.length;
+	if(remaining > 0) {
+		for(var i = 0; i < residuals.length; ++i) {
+			residuals[i] /= residual_sum;
+		}
+		indices = indices.concat(
+				resample_multinomial(residuals, remaining, rng)
+			);
+	}
+	return indices;
+}
+
+/*
+ * resampling_methods
+ * Resampling algorithms selectable by name in particle_filter_t.
+ */
+var resampling_methods = {
+	"systematic" : resample_systematic,
+	"stratified" : resample_stratified,
+	"multinomial" : resample_multinomial,
+	"residual" : resample_residual
+};
+
+/*
+ * quantile_normal
+ * Computes the inverse of the standard normal cumulative distribution function
+ * at the given probability by bisection.
  */
-var dp_map_t = function() {
+function quantile_normal(p) {
+	var low = -10.0, high = 10.0;
+	for(var i = 0; i < 64; ++i) {
+		var mid = 0.5 * (low + high);
+		if(cdf_normal(mid) < p) low = mid;
+		else high = mid;
+	}
+	return 0.5 * (low + high);
+}
+
+/*
+ * kld_sampler_t
+ * Takes the histogram bin size for position and for orientation, the bound
+ * epsilon on the KL-divergence between the particle approximation and the
+ * true posterior, the probability delta that the bound is exceeded, and the
+ * minimum and maximum particle counts. Provides the particle count required
+ * once k histogram bins are occupied (Fox, 2003).
+ */
+var kld_sampler_t = function(bin_size, angle_bin_size, epsilon = 0.05,
+	delta = 0.01, min_size = 10, max_size = 1000)
+{
 	var _this = this;
-	_this.map = [];
+	_this.bin_size = bin_size;
+	_this.angle_bin_size = angle_bin_size;
+	_this.epsilon = epsilon;
+	_this.delta = delta;
+	_this.min_size = min_size;
+	_this.max_size = max_size;
+	_this.z = quantile_normal(1.0 - delta);
 	
-	_this.lookup_by_id = function(x, y, id) {
-		if(typeof _this.map[x] !== "undefined" &&
-		   typeof _this.map[x][y] !== "undefined" &&
-		   typeof _this.map[x][y][id] !== "undefined")
-		{
-			return _this.map[x][y][id];
+	_this.bin = function(location) {
+		return Math.floor(location.x / _this.bin_size) + ","
+			+ Math.floor(location.y / _this.bin_size) + ","
+			+ Math.floor(normalize_angle(location.angle) / _this.angle_bin_size);
+	};
+	
+	_this.required = function(k) {
+		var n = _this.min_size;
+		if(k > 1) {
+			var a = 2.0 / (9.0 * (k - 1));
+			n = Math.ceil((k - 1) / (2.0 * _this.epsilon)
+				* Math.pow(1.0 - a + Math.sqrt(a) * _this.z, 3));
+		}
+		return Math.min(Math.max(n, _this.min_size), _this.max_size);
+	};
+};
+
+/*
+ * particle_filter_t
+ * A simple particle filter to estimate a posterior distribution over a finite
+ * number of sample points. Call predict and weight each timestep to estimate
+ * the posterior distribution with controls and measurements. Call resample to
+ * eliminate low probability particles when needed to produce better estimates
+ * with lower particle counts. The weight model must return log likelihoods;
+ * weights are accumulated in log space and normalized with log-sum-exp. All
+ * random draws are taken from the given random number generator. The
+ * resampling algorithm is named by one of the keys of resampling_methods, or
+ * may be given as a function with the same signature.
+ */
+var particle_filter_t = function(prediction_model, weight_model, size,
+	elimination_factor = 0.01, rng = make_rng(default_seeds.particle_filter),
+	resampling = "systematic")
+{
+	var _this = this;
+	_this.rng = rng;
+	_this.resampler = (typeof resampling === "function")
+		? resampling : resampling_methods[resampling];
+	if(typeof _this.resampler !== "function") {
+		throw new Error("unknown resampling method " + resampling);
+	}
+	_this.elimination_factor = elimination_factor;
+	_this.prediction_model = prediction_model;
+	_this.weight_model = weight_model;
+	
+	/*
+	 * resize
+	 * Change the number of particles, resetting all weights to be equal.
+	 */
+	_this.resize = function(size) {
+		_this.size = size;
+		_this.n = 1.0 / size;
+		_this.threshold = _this.elimination_factor * _this.n;
+		_this.log_threshold = Math.log(_this.threshold);
+		_this.weights = [];
+		_this.log_weights = [];
+		for(var i = 0; i < _this.size; ++i) {
+			_this.weights[i] = _this.n;
+			_this.log_weights[i] = Math.log(_this.n);
+		}
+	};
+	
+	_this.resize(size);
+	
+	/*
+	 * snapshot
+	 * Capture the weights and generator state. The log weights of eliminated
+	 * particles are -Infinity, which JSON cannot hold, so they are written as
+	 * null and read back as -Infinity by restore.
+	 */
+	_this.snapshot = function() {
+		return {
+				log_weights : _this.log_weights.map(function(w) {
+					return (w == -Infinity) ? null : w;
+				}),
+				rng : rng_state(_this.rng)
+			};
+	};
+	
+	_this.restore = function(state) {
+		_this.resize(state.log_weights.length);
+		for(var i = 0; i < _this.size; ++i) {
+			_this.log_weights[i] = (state.log_weights[i] === null)
+				? -Infinity : state.log_weights[i];
+			_this.weights[i] = Math.exp(_this.log_weights[i]);
+		}
+		set_rng_state(_this.rng, state.rng);
+	};
+	
+	_this.predict = function(particles, control) {
+		var new_particles = [];
+		for(var i = 0; i < _this.size; ++i) {
+			new_particles[i] = _this.prediction_model(particles[i], control);
+		}
+		return new_particles;
+	};
+	
+	_this.weight = function(particles, measurement) {
+		for(var i = 0; i < _this.size; ++i) {
+			if(_this.log_weights[i] > _this.log_threshold) {
+				_this.log_weights[i] += _this.weight_model(particles[i], measurement);
+			}
+			else {
+				_this.log_weights[i] = -Infinity;
+			}
+		}
+		
+		var log_sum = log_sum_exp(_this.log_weights);
+		
+		for(var i = 0; i < _this.size; ++i) {
+			if(log_sum > -Infinity) {
+				_this.log_weights[i] -= log_sum;
+			}
+			else {
+				_this.log_weights[i] = Math.log(_this.n);
+			}
+			_this.weights[i] = Math.exp(_this.log_weights[i]);
+		}
+	};
+	
+	_this.effective_sample_size = function() {
+		var sum = 0.0;
+		for(var i = 0; i < _this.size; ++i) {
+			sum += Math.pow(_this.weights[i], 2);
+		}
+		
+		return 1.0 / sum;
+	};
+	
+	_this.entropy = function() {
+		var sum = 0.0;
+		for(var i = 0; i < _this.size; ++i) {
+			if(_this.weights[i] > 0.0) {
+				sum -= _this.weights[i] * Math.log(_this.weights[i]);
+			}
+		}
+		
+		return sum;
+	};
+	
+	_this.resample = function(particles) {
+		var new_particles = [];
+		var indices = _this.resampler(_this.weights, _this.size, _this.rng);
+		
+		for(var m = 0; m < indices.length; ++m) {
+			new_particles.push(particles[indices[m]]);
+		}
+		
+		_this.resize(new_particles.length);
+		
+		return new_particles;
+	};
+	
+	/*
+	 * resample_kld
+	 * KLD-sampling: draw particles one at a time in proportion to their weights
+	 * until the number drawn bounds the error of the approximation as required
+	 * by the given kld_sampler_t, counting the histogram bins occupied by the
+	 * locations of the drawn particles. The locate function maps a particle to
+	 * its location. The filter is resized to the number of particles drawn.
+	 */
+	_this.resample_kld = function(particles, kld, locate) {
+		var cumulative = [], c = 0.0;
+		for(var i = 0; i < _this.size; ++i) {
+			c += _this.weights[i];
+			cumulative.push(c);
+		}
+		
+		var new_particles = [], bins = new Set();
+		do {
+			var r = _this.rng.random() * c, low = 0, high = _this.size - 1;
+			while(low < high) {
+				var mid = (low + high) >> 1;
+				if(cumulative[mid] < r) low = mid + 1;
+				else high = mid;
+			}
+			
+			new_particles.push(particles[low]);
+			bins.add(kld.bin(locate(particles[low])));
+		} while(new_particles.length < kld.required(bins.size));
+		
+		_this.resize(new_particles.length);
+		
+		return new_particles;
+	};
+	
+	_this.best = function(particles) {
+		var best = 0;
+		for(var i = 1; i < _this.size; ++i) {
+			if(_this.weights[i] > _this.weights[best]) best = i;
+		}
+		return particles[best];
+	};
+	
+	_this.sample = function(particles) {
+		var r = _this.rng.random(), c = _this.weights[0], i = 0;	
+		while(r > c && i < _this.size - 1) {
+			++i;
+			c += _this.weights[i];
+		}
+		return particles[i];
+	};
+};
+
+/*
+ * dp_map_tile_bits
+ * Tiles of dp_map_t are 2^dp_map_tile_bits cells wide and high.
+ */
+var dp_map_tile_bits = 4;
+var dp_map_tile_size = 1 << dp_map_tile_bits;
+
+/*
+ * dp_map_tile_t
+ * Square block of dp_map_t cells at tile coordinates (tx, ty). The entries of
+ * every cell, one per node id, are kept in typed arrays of slots: head holds
+ * the first slot of each cell and next links the slots of a cell together.
+ * Erased slots are kept on a free list and reused.
+ */
+var dp_map_tile_t = function(tx, ty, capacity = 16) {
+	var _this = this;
+	_this.tx = tx;
+	_this.ty = ty;
+	_this.head = new Int32Array(dp_map_tile_size * dp_map_tile_size).fill(-1);
+	_this.next = new Int32Array(capacity);
+	_this.ids = new Int32Array(capacity);
+	_this.hits = new Uint32Array(capacity);
+	_this.passes = new Uint32Array(capacity);
+	_this.used = 0;
+	_this.free = -1;
+	_this.count = 0;
+	
+	_this.find = function(cell, id) {
+		for(var slot = _this.head[cell]; slot != -1; slot = _this.next[slot]) {
+			if(_this.ids[slot] == id) {
+				return slot;
+			}
 		}
 		return -1;
 	};
 	
-	_this.lookup = function(x, y, dp_node) {
+	/*
+	 * find_node
+	 * Find the slot of the nearest ancestor of dp_node, itself included, with
+	 * an entry for the cell.
+	 */
+	_this.find_node = function(cell, dp_node) {
+		if(_this.head[cell] == -1) {
+			return -1;
+		}
+		
 		var temp = dp_node;
 		do {
-			var val = _this.lookup_by_id(x, y, temp.id);
-			if(val == 1) {
-				return true;
-			}
-			else if(val == 0) {
-				return false;
+			var slot = _this.find(cell, temp.id);
+			if(slot != -1) {
+				return slot;
 			}
 		} while((temp = temp.parent) != null);
-		return false;
+		return -1;
+	};
+	
+	_this.grow = function() {
+		var capacity = 2 * _this.ids.length;
+		var next = new Int32Array(capacity), ids = new Int32Array(capacity);
+		var hits = new Uint32Array(capacity), passes = new Uint32Array(capacity);
+		next.set(_this.next);
+		ids.set(_this.ids);
+		hits.set(_this.hits);
+		passes.set(_this.passes);
+		_this.next = next;
+		_this.ids = ids;
+		_this.hits = hits;
+		_this.passes = passes;
+	};
+	
+	_this.insert = function(cell, id, hits, passes) {
+		var slot = _this.free;
+		if(slot != -1) {
+			_this.free = _this.next[slot];
+		}
+		else {
+			if(_this.used == _this.ids.length) {
+				_this.grow();
+			}
+			slot = _this.used++;
+		}
+		
+		_this.ids[slot] = id;
+		_this.hits[slot] = hits;
+		_this.passes[slot] = passes;
+		_this.next[slot] = _this.head[cell];
+		_this.head[cell] = slot;
+		++_this.count;
+		return slot;
+	};
+	
+	_this.remove = function(cell, id) {
+		var prev = -1;
+		for(var slot = _this.head[cell]; slot != -1; slot = _this.next[slot]) {
+			if(_this.ids[slot] == id) {
+				if(prev == -1) {
+					_this.head[cell] = _this.next[slot];
+				}
+				else {
+					_this.next[prev] = _this.next[slot];
+				}
+				_this.next[slot] = _this.free;
+				_this.free = slot;
+				--_this.count;
+				return;
+			}
+			prev = slot;
+		}
+	};
+	
+	/*
+	 * for_each
+	 * Call f(x, y, id, hits, passes) for every entry, with x and y the cell
+	 * coordinates in the map.
+	 */
+	_this.for_each = function(f) {
+		var mask = dp_map_tile_size - 1;
+		for(var cell = 0; cell < _this.head.length; ++cell) {
+			var x = _this.tx * dp_map_tile_size + (cell & mask);
+			var y = _this.ty * dp_map_tile_size + (cell >> dp_map_tile_bits);
+			for(var slot = _this.head[cell]; slot != -1; slot = _this.next[slot]) {
+				f(x, y, _this.ids[slot], _this.hits[slot], _this.passes[slot]);
+			}
+		}
+	};
+};
+
+/*
+ * dp_map_t
+ * Two dimensional distributed particle map with probabilistic occupancy
+ * values. Each node stores counts of the beams that ended in (hits) and passed
+ * through (passes) a cell, starting from the counts of its nearest ancestor the
+ * first time it observes that cell. Occupancy probabilities are computed from
+ * the counts and the given prior counts. Cells are indexed by the given grid,
+ * which fixes the map's resolution and origin in world coordinates.
+ * 
+ * Cells are stored in dp_map_tile_t blocks held in a Map keyed by tile
+ * coordinates, so cell coordinates must lie within +/- 2^24. Tiles are created
+ * on the first update of one of their cells and dropped once they are empty.
+ */
+var dp_map_t = function(prior_hits = 1.0, prior_passes = 1.0, grid = unit_grid)
+{
+	var _this = this;
+	_this.tiles = new Map();
+	_this.grid = grid;
+	_this.prior_hits = prior_hits;
+	_this.prior_passes = prior_passes;
+	_this.occupied_threshold = 0.5;
+	
+	_this.tile_key = function(tx, ty) {
+		return tx * 0x200000 + ty;
+	};
+	
+	_this.tile = function(x, y, create = false) {
+		var tx = x >> dp_map_tile_bits, ty = y >> dp_map_tile_bits;
+		var key = _this.tile_key(tx, ty);
+		var tile = _this.tiles.get(key);
+		if(tile === undefined) {
+			if(!create) {
+				return null;
+			}
+			tile = new dp_map_tile_t(tx, ty);
+			_this.tiles.set(key, tile);
+		}
+		return tile;
+	};
+	
+	_this.cell = function(x, y) {
+		var mask = dp_map_tile_size - 1;
+		return ((y & mask) << dp_map_tile_bits) | (x & mask);
+	};
+	
+	_this.lookup_by_id = function(x, y, id) {
+		var tile = _this.tile(x, y);
+		if(tile != null) {
+			var slot = tile.find(_this.cell(x, y), id);
+			if(slot != -1) {
+				return { hits : tile.hits[slot], passes : tile.passes[slot] };
+			}
+		}
+		return -1;
+	};
+	
+	_this.entry = function(x, y, dp_node) {
+		var tile = _this.tile(x, y);
+		if(tile != null) {
+			var slot = tile.find_node(_this.cell(x, y), dp_node);
+			if(slot != -1) {
+				return { hits : tile.hits[slot], passes : tile.passes[slot] };
+			}
+		}
+		return -1;
+	};
+	
+	_this.probability = function(entry) {
+		var hits = _this.prior_hits, passes = _this.prior_passes;
+		if(entry != -1) {
+			hits += entry.hits;
+			passes += entry.passes;
+		}
+		return hits / (hits + passes);
+	};
+	
+	_this.lookup = function(x, y, dp_node) {
+		var hits = _this.prior_hits, passes = _this.prior_passes;
+		var tile = _this.tile(x, y);
+		if(tile != null) {
+			var slot = tile.find_node(_this.cell(x, y), dp_node);
+			if(slot != -1) {
+				hits += tile.hits[slot];
+				passes += tile.passes[slot];
+			}
+		}
+		return hits / (hits + passes);
+	};
+	
+	/*
+	 * state
+	 * Classify a cell as occupied (1), free (0), or never observed (-1).
+	 */
+	_this.state = function(x, y, dp_node) {
+		var entry = _this.entry(x, y, dp_node);
+		if(entry == -1) {
+			return -1;
+		}
+		return (_this.probability(entry) > _this.occupied_threshold) ? 1 : 0;
 	};
 	
 	_this.update_by_id = function(value, x, y, id) {
-		if(typeof _this.map[x] == "undefined") {
-			_this.map[x] = [];
+		var tile = _this.tile(x, y, true), cell = _this.cell(x, y);
+		var slot = tile.find(cell, id);
+		if(slot == -1) {
+			tile.insert(cell, id, value.hits, value.passes);
 		}
-		if(typeof _this.map[x][y] == "undefined") {
-			_this.map[x][y] = {};
+		else {
+			tile.hits[slot] = value.hits;
+			tile.passes[slot] = value.passes;
 		}
-		_this.map[x][y][id] = value;
-		//console.log("setting map[" + x + "][" + y + "][" + id + " = " + value);
 	};
 	
 	_this.update = function(value, x, y, dp_node) {
-		var temp = dp_node;
-		do {
-			if(_this.lookup_by_id(x, y, temp.id) != -1) {
-				return false;
-			}
-		} while((temp = temp.parent) != null);
-		_this.update_by_id(value, x, y, dp_node.id);
-		return true;
+		var tile = _this.tile(x, y, true), cell = _this.cell(x, y);
+		var own = tile.find(cell, dp_node.id), created = false;
+		if(own == -1) {
+			var inherited = (dp_node.parent != null)
+				? tile.find_node(cell, dp_node.parent) : -1;
+			own = (inherited != -1)
+				? tile.insert(
+						cell,
+						dp_node.id,
+						tile.hits[inherited],
+						tile.passes[inherited]
+					)
+				: tile.insert(cell, dp_node.id, 0, 0);
+			created = true;
+		}
+		
+		if(value) {
+			tile.hits[own] += 1;
+		}
+		else {
+			tile.passes[own] += 1;
+		}
+		return created;
 	};
 	
 	_this.erase = function(x, y, id) {
-		delete _this.map[x][y][id];
+		var tile = _this.tile(x, y);
+		if(tile != null) {
+			tile.remove(_this.cell(x, y), id);
+			if(tile.count == 0) {
+				_this.tiles.delete(_this.tile_key(tile.tx, tile.ty));
+			}
+		}
 	};
 	
 	_this.rename = function(x, y, old_id, new_id) {
-		_this.map[x][y][new_id] = _this.map[x][y][old_id];
-		_this.erase(x, y, old_id);
+		var tile = _this.tile(x, y);
+		if(tile != null) {
+			var cell = _this.cell(x, y);
+			tile.remove(cell, new_id);
+			var slot = tile.find(cell, old_id);
+			if(slot != -1) {
+				tile.ids[slot] = new_id;
+			}
+		}
+	};
+	
+	/*
+	 * snapshot
+	 * List every stored entry as [x, y, id, hits, passes], sorted so that
+	 * equal maps give equal snapshots.
+	 */
+	_this.snapshot = function() {
+		var entries = [];
+		_this.tiles.forEach(function(tile) {
+			tile.for_each(function(x, y, id, hits, passes) {
+				entries.push([x, y, id, hits, passes]);
+			});
+		});
+		entries.sort(function(a, b) {
+			return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+		});
+		return entries;
+	};
+	
+	_this.restore = function(entries) {
+		_this.tiles = new Map();
+		for(var i = 0; i < entries.length; ++i) {
+			_this.update_by_id(
+					{ hits : entries[i][3], passes : entries[i][4] },
+					entries[i][0],
+					entries[i][1],
+					entries[i][2]
+				);
+		}
+	};
+	
+	/*
+	 * count_entries
+	 * Count the cell entries stored in the map, in total and for each node id.
+	 */
+	_this.count_entries = function() {
+		var total = 0, by_id = {};
+		_this.tiles.forEach(function(tile) {
+			tile.for_each(function(x, y, id) {
+				by_id[id] = (by_id[id] || 0) + 1;
+				++total;
+			});
+		});
+		return { total : total, by_id : by_id };
 	};
 	
-	_this.get_map = function(x_min, x_max, y_min, y_max, dp_node) {
+	/*
+	 * get_map
+	 * Build a grid of occupancy probabilities. Cells that were never observed
+	 * are given the prior probability, or the unknown value when one is given.
+	 */
+	_this.get_map = function(x_min, x_max, y_min, y_max, dp_node,
+		unknown = undefined)
+	{
 		var map = [];
 		for(var x = x_min; x < x_max; ++x) {
 			map[x] = [];
 			for(var y = y_min; y < y_max; ++y) {
-				map[x][y] = _this.lookup(x, y, dp_node);
+				var entry = _this.entry(x, y, dp_node);
+				if(entry == -1 && unknown !== undefined) {
+					map[x][y] = unknown;
+				}
+				else {
+					map[x][y] = _this.probability(entry);
+				}
 			}
 		}
 		return map;
@@ -462,12 +1639,15 @@ var dp_map_t = function() {
 
 /*
  * dp_node_t
- * Node class to construct distributed particle trees.
+ * Node class to construct distributed particle trees. Besides its location,
+ * a node keeps the poses of the ancestors merged into it by trim, oldest
+ * first, so the path of a particle can be recovered from its ancestry.
  */
 var dp_node_t = function(id, location, parent) {
 	var _this = this;
 	_this.id = id;
 	_this.location = copy_location(location);
+	_this.poses = [copy_location(location)];
 	if(parent != null) {
 		parent.leaf = false;
 		parent.children += 1;
@@ -482,11 +1662,6 @@ var dp_node_t = function(id, location, parent) {
 	};
 	
 	_this.trim = function(map) {
-		if(_this.parent.id == 0) {
-			//console.log("hit root");
-			return;
-		}
-		
 		if(!_this.leaf && _this.children == 0) {
 			//console.log("trimming node " + _this.id);
 			_this.parent.children -= 1;
@@ -497,24 +1672,42 @@ var dp_node_t = function(id, location, parent) {
 						_this.id
 					);
 			}
-			_this.parent.trim(map);
+			if(_this.parent.id != 0) {
+				_this.parent.trim(map);
+			}
 			_this.parent = null;
 		}
+		else if(_this.parent.id == 0) {
+			//console.log("hit root");
+			return;
+		}
 		else if(_this.parent.children == 1 && _this.parent.id != 0) {
 			//console.log("merging node " + _this.id + " with node " + _this.parent.id);
 			for(var i = 0; i < _this.modified_cells.length; ++i) {
+				var parent_has_cell = map.lookup_by_id(
+						_this.modified_cells[i].x,
+						_this.modified_cells[i].y,
+						_this.parent.id
+					) != -1;
 				map.rename(
 						_this.modified_cells[i].x,
 						_this.modified_cells[i].y,
 						_this.id,
 						_this.parent.id
 					);
-				_this.parent.modified_cells.push(_this.modified_cells[i]);
+				if(!parent_has_cell) {
+					_this.parent.modified_cells.push(_this.modified_cells[i]);
+				}
 			}
 			
 			_this.modified_cells = _this.parent.modified_cells;
 			_this.id = _this.parent.id;
 			
+			for(var i = 0; i < _this.poses.length; ++i) {
+				_this.parent.poses.push(_this.poses[i]);
+			}
+			_this.poses = _this.parent.poses;
+			
 			_this.parent = _this.parent.parent;
 			_this.trim(map);
 		}
@@ -524,22 +1717,41 @@ var dp_node_t = function(id, location, parent) {
 	};
 };
 
+/*
+ * dp_slam_snapshot_version
+ * Version of the object produced by dp_slam_t.snapshot. Version 2 added the
+ * pose history of each node; version 1 snapshots are still accepted.
+ */
+var dp_slam_snapshot_version = 2;
+
 /*
  * dp_slam_t
  * Distributed particle slam object. Estimates posterior of robot pose and
- * binary occupancy map with particle filter based on the given motion and
- * measurement models.
+ * occupancy map with particle filter based on the given motion and
+ * measurement models. The random number generator is handed to the underlying
+ * particle filter, so a fixed seed and input stream reproduce a run exactly,
+ * as is the name of the resampling algorithm (see particle_filter_t). When a
+ * kld_sampler_t is given the particles are resampled with KLD-sampling after
+ * every update, and the particle count adapts to the pose uncertainty starting
+ * from the given size. The grid sets the resolution and origin of the map;
+ * locations are in world units and map bounds in cell indices. Every particle
+ * starts at the given start location.
  */
-var dp_slam_t = function(size, motion_model, measurement_model, frac = 0.5) {
+var dp_slam_t = function(size, motion_model, measurement_model, frac = 0.5,
+	rng = make_rng(default_seeds.dp_slam), resampling = "systematic", kld = null,
+	grid = unit_grid, start = new location_t(0.0, 0.0, 0.0))
+{
 	var _this = this;
 	_this.size = size;
+	_this.frac = frac;
 	_this.resample_size = _this.size * frac;
+	_this.kld = kld;
 	_this.next_id = 0;
-	_this.root = new dp_node_t(_this.next_id++, (new location_t(0.0, 0.0, 0.0)), null);
+	_this.root = new dp_node_t(_this.next_id++, start, null);
 	_this.motion_model = motion_model;
 	_this.measurement_model = measurement_model;
 	_this.particles = [];
-	_this.map = new dp_map_t;
+	_this.map = new dp_map_t(1.0, 1.0, grid);
 	for(var i = 0; i < _this.size; ++i) {
 		_this.particles.push(new dp_node_t(
 				_this.next_id++,
@@ -553,15 +1765,19 @@ var dp_slam_t = function(size, motion_model, measurement_model, frac = 0.5) {
 				return new dp_node_t(_this.next_id++, location, dp_node);
 			},
 			function(dp_node, measurement) {
-				return _this.measurement_model.prob(
+				return _this.measurement_model.log_prob(
 						dp_node.location,
 						measurement,
 						function(x, y) {
 							return _this.map.lookup(x, y, dp_node);
-						}
+						},
+						_this.map.grid
 					);
 			},
-			_this.size
+			_this.size,
+			0.01,
+			rng,
+			resampling
 		);
 	
 	_this.update = function(control, measurement) {
@@ -571,33 +1787,45 @@ var dp_slam_t = function(size, motion_model, measurement_model, frac = 0.5) {
 		//console.log("weighting particles");
 		_this.particle_filter.weight(_this.particles, measurement);
 		
+		var uncertainty = _this.uncertainty();
+		
 		//console.log("checking for resample particles");
-		console.log(_this.particle_filter.effective_sample_size());
-		if(_this.particle_filter.effective_sample_size() < _this.resample_size) {
-			console.log("resampling particles");
-			var new_particles = _this.particle_filter.resample(_this.particles);
+		//console.log(uncertainty.effective_sample_size);
+		if(_this.kld != null ||
+		   uncertainty.effective_sample_size < _this.resample_size)
+		{
+			//console.log("resampling particles");
+			var new_particles = (_this.kld != null)
+				? _this.particle_filter.resample_kld(
+						_this.particles,
+						_this.kld,
+						function(dp_node) { return dp_node.location; }
+					)
+				: _this.particle_filter.resample(_this.particles);
 			
-			for(var i = 0; i < _this.size; ++i) {
+			for(var i = 0; i < new_particles.length; ++i) {
 				new_particles[i].leaf = true;
 			}
 			
 			//console.log("trimming particle tree");
-			for(var i = 0; i < _this.size; ++i) {
+			for(var i = 0; i < _this.particles.length; ++i) {
 				_this.particles[i].trim(_this.map);
 			}
 			
 			_this.particles = new_particles;
+			_this.size = _this.particles.length;
+			_this.resample_size = _this.size * _this.frac;
 		}
 		else {
-			console.log("trimming particle tree");
-			for(var i = 0; i < _this.size; ++i) {
+			//console.log("trimming particle tree");
+			for(var i = 0; i < _this.particles.length; ++i) {
 				_this.particles[i].leaf = true;
 				_this.particles[i].trim(_this.map);
 			}
 		}
 		
 		//console.log("updating maps");
-		for(var i = 0; i < _this.size; ++i) {
+		for(var i = 0; i < _this.particles.length; ++i) {
 			var dp_node = _this.particles[i];
 			_this.measurement_model.update(
 					dp_node.location,
@@ -609,22 +1837,436 @@ var dp_slam_t = function(size, motion_model, measurement_model, frac = 0.5) {
 						if(_this.map.update(value, x, y, dp_node)) {
 							dp_node.add_cell(x, y);
 						}
-					}
+					},
+					_this.map.grid
 				);
 		}
 		
 		_this.measurement_model.increment();
+		
+		return uncertainty;
+	};
+	
+	/*
+	 * uncertainty
+	 * Report the weighted mean pose, the 3x3 (x, y, angle) pose covariance, the
+	 * effective sample size, and the entropy of the particle weights. Update
+	 * returns this report as computed before resampling.
+	 */
+	_this.uncertainty = function() {
+		var pose = pose_covariance(
+				_this.particles.map(function(p) { return p.location; }),
+				_this.particle_filter.weights
+			);
+		
+		return {
+				mean : pose.mean,
+				covariance : pose.covariance,
+				effective_sample_size :
+					_this.particle_filter.effective_sample_size(),
+				entropy : _this.particle_filter.entropy()
+			};
+	};
+	
+	/*
+	 * snapshot
+	 * Capture the complete filter state as a JSON compatible object: the
+	 * ancestry tree, the map entries, the particles and their weights, the id
+	 * counter, and the state of the random number generators and models. The
+	 * object may be passed to restore on a dp_slam_t constructed with the same
+	 * arguments to continue exactly where this one left off.
+	 */
+	_this.snapshot = function() {
+		var nodes = _this.live_nodes();
+		return {
+				version : dp_slam_snapshot_version,
+				next_id : _this.next_id,
+				size : _this.size,
+				root : _this.root.id,
+				nodes : nodes.map(function(node) {
+					return {
+							id : node.id,
+							location : [
+									node.location.x,
+									node.location.y,
+									node.location.angle
+								],
+							parent : (node.parent != null) ? node.parent.id : null,
+							leaf : node.leaf,
+							children : node.children,
+							modified_cells : node.modified_cells.map(function(c) {
+								return [c.x, c.y];
+							}),
+							poses : node.poses.map(function(p) {
+								return [p.x, p.y, p.angle];
+							})
+						};
+				}),
+				particles : _this.particles.map(function(p) { return p.id; }),
+				map : _this.map.snapshot(),
+				particle_filter : _this.particle_filter.snapshot(),
+				motion_model : (_this.motion_model.snapshot)
+					? _this.motion_model.snapshot() : null,
+				measurement_model : (_this.measurement_model.snapshot)
+					? _this.measurement_model.snapshot() : null
+			};
+	};
+	
+	/*
+	 * restore
+	 * Replace the filter state with one captured by snapshot.
+	 */
+	_this.restore = function(state) {
+		if(!Number.isInteger(state.version) || state.version < 1 ||
+		   state.version > dp_slam_snapshot_version)
+		{
+			throw new Error("unsupported dp_slam_t snapshot version "
+				+ state.version);
+		}
+		
+		var by_id = {};
+		for(var i = 0; i < state.nodes.length; ++i) {
+			var description = state.nodes[i];
+			var node = new dp_node_t(
+					description.id,
+					new location_t(
+							description.location[0],
+							description.location[1],
+							description.location[2]
+						),
+					null
+				);
+			node.leaf = description.leaf;
+			node.children = description.children;
+			if(description.poses) {
+				node.poses = description.poses.map(function(p) {
+					return new location_t(p[0], p[1], p[2]);
+				});
+			}
+			for(var j = 0; j < description.modified_cells.length; ++j) {
+				node.add_cell(
+						description.modified_cells[j][0],
+						description.modified_cells[j][1]
+					);
+			}
+			by_id[node.id] = node;
+		}
+		for(var i = 0; i < state.nodes.length; ++i) {
+			if(state.nodes[i].parent != null) {
+				by_id[state.nodes[i].id].parent = by_id[state.nodes[i].parent];
+			}
+		}
+		
+		_this.next_id = state.next_id;
+		_this.root = by_id[state.root];
+		_this.particles = state.particles.map(function(id) { return by_id[id]; });
+		_this.size = state.size;
+		_this.resample_size = _this.size * _this.frac;
+		_this.map.restore(state.map);
+		_this.particle_filter.restore(state.particle_filter);
+		if(state.motion_model != null && _this.motion_model.restore) {
+			_this.motion_model.restore(state.motion_model);
+		}
+		if(state.measurement_model != null && _this.measurement_model.restore) {
+			_this.measurement_model.restore(state.measurement_model);
+		}
+	};
+	
+	/*
+	 * live_nodes
+	 * Collect every node of the ancestry tree reachable from the current
+	 * particles, including the root, each exactly once.
+	 */
+	_this.live_nodes = function() {
+		var seen = new Set(), nodes = [];
+		for(var i = 0; i < _this.particles.length; ++i) {
+			var temp = _this.particles[i];
+			while(temp != null && !seen.has(temp)) {
+				seen.add(temp);
+				nodes.push(temp);
+				temp = temp.parent;
+			}
+		}
+		return nodes;
+	};
+	
+	/*
+	 * depth
+	 * Number of ancestors between a node and the root of the tree.
+	 */
+	_this.depth = function(dp_node) {
+		var depth = 0;
+		while(dp_node.parent != null) {
+			dp_node = dp_node.parent;
+			++depth;
+		}
+		return depth;
+	};
+	
+	/*
+	 * diagnostics
+	 * Report the size of the ancestry tree and the map: the live node count, the
+	 * depth of each particle, the total number of stored map entries, and the
+	 * number of entries held by each live node id.
+	 */
+	_this.diagnostics = function() {
+		var nodes = _this.live_nodes();
+		var counts = _this.map.count_entries();
+		var depths = _this.particles.map(_this.depth);
+		var entries_per_node = {};
+		for(var i = 0; i < nodes.length; ++i) {
+			entries_per_node[nodes[i].id] = counts.by_id[nodes[i].id] || 0;
+		}
+		
+		return {
+				nodes : nodes.length,
+				depths : depths,
+				max_depth : Math.max.apply(null, depths),
+				entries : counts.total,
+				entries_per_node : entries_per_node
+			};
+	};
+	
+	/*
+	 * tree_json
+	 * Describe the live ancestry tree as nested objects, starting at the root.
+	 * Each node lists its id, location, stored entry count, whether it is a
+	 * current particle, and its children.
+	 */
+	_this.tree_json = function() {
+		var nodes = _this.live_nodes();
+		var counts = _this.map.count_entries().by_id;
+		var particles = new Set(_this.particles);
+		var described = new Map();
+		
+		for(var i = 0; i < nodes.length; ++i) {
+			described.set(nodes[i], {
+					id : nodes[i].id,
+					location : {
+							x : nodes[i].location.x,
+							y : nodes[i].location.y,
+							angle : nodes[i].location.angle
+						},
+					entries : counts[nodes[i].id] || 0,
+					particle : particles.has(nodes[i]),
+					children : []
+				});
+		}
+		for(var i = 0; i < nodes.length; ++i) {
+			if(nodes[i].parent != null) {
+				described.get(nodes[i].parent).children.push(
+						described.get(nodes[i])
+					);
+			}
+		}
+		
+		return described.get(_this.root);
 	};
 	
-	_this.sample = function(x_min, x_max, y_min, y_max) {
+	/*
+	 * tree_dot
+	 * Describe the live ancestry tree in the Graphviz DOT language. Nodes are
+	 * labeled with their id and stored entry count, and particles are boxed.
+	 */
+	_this.tree_dot = function() {
+		var nodes = _this.live_nodes();
+		var counts = _this.map.count_entries().by_id;
+		var particles = new Set(_this.particles);
+		var lines = ["digraph dp_tree {"];
+		
+		for(var i = 0; i < nodes.length; ++i) {
+			var id = nodes[i].id;
+			lines.push("\tn" + id + " [label=\"" + id + " (" + (counts[id] || 0)
+				+ ")\"" + (particles.has(nodes[i]) ? ", shape=box" : "") + "];");
+		}
+		for(var i = 0; i < nodes.length; ++i) {
+			if(nodes[i].parent != null) {
+				lines.push("\tn" + nodes[i].parent.id + " -> n" + nodes[i].id + ";");
+			}
+		}
+		lines.push("}");
+		
+		return lines.join("\n") + "\n";
+	};
+	
+	_this.sample = function(x_min, x_max, y_min, y_max, unknown = undefined) {
 		var dp_node = _this.particle_filter.sample(_this.particles);
 		return {
 				location : dp_node.location,
 				map : _this.map.get_map(
 						x_min, x_max,
 						y_min, y_max,
-						dp_node
+						dp_node,
+						unknown
+					)
+			};
+	};
+	
+	/*
+	 * best_particle
+	 * The particle with the highest weight.
+	 */
+	_this.best_particle = function() {
+		return _this.particle_filter.best(_this.particles);
+	};
+	
+	/*
+	 * trajectory
+	 * The pose history of a particle, oldest first, from its first update to
+	 * its current location. Defaults to the highest weight particle.
+	 */
+	_this.trajectory = function(dp_node = _this.best_particle()) {
+		var segments = [];
+		for(var temp = dp_node; temp != null && temp != _this.root;
+			temp = temp.parent)
+		{
+			segments.push(temp.poses);
+		}
+		
+		var poses = [];
+		for(var i = segments.length - 1; i >= 0; --i) {
+			for(var j = 0; j < segments[i].length; ++j) {
+				poses.push(copy_location(segments[i][j]));
+			}
+		}
+		return poses;
+	};
+	
+	/*
+	 * mean_location
+	 * The weighted mean of the particle locations.
+	 */
+	_this.mean_location = function() {
+		return mean_location(
+				_this.particles.map(function(p) { return p.location; }),
+				_this.particle_filter.weights
+			);
+	};
+	
+	/*
+	 * mode
+	 * Histogram the particles into bins of the given size and orientation size,
+	 * and return the weighted mean location of the particles in the heaviest
+	 * bin along with the highest weight particle in that bin.
+	 */
+	_this.mode = function(bin_size = 1.0, angle_bin_size = Math.PI / 8.0) {
+		var bins = {}, weights = _this.particle_filter.weights, heaviest = null;
+		for(var i = 0; i < _this.particles.length; ++i) {
+			var location = _this.particles[i].location;
+			var key = Math.floor(location.x / bin_size) + ","
+				+ Math.floor(location.y / bin_size) + ","
+				+ Math.floor(normalize_angle(location.angle) / angle_bin_size);
+			if(!(key in bins)) {
+				bins[key] = { weight : 0.0, members : [] };
+			}
+			bins[key].weight += weights[i];
+			bins[key].members.push(i);
+			if(heaviest == null || bins[key].weight > bins[heaviest].weight) {
+				heaviest = key;
+			}
+		}
+		
+		var members = bins[heaviest].members, best = members[0];
+		for(var j = 1; j < members.length; ++j) {
+			if(weights[members[j]] > weights[best]) best = members[j];
+		}
+		
+		return {
+				location : mean_location(
+						members.map(function(i) {
+							return _this.particles[i].location;
+						}),
+						members.map(function(i) { return weights[i]; })
+					),
+				particle : _this.particles[best]
+			};
+	};
+	
+	/*
+	 * estimate
+	 * Deterministic alternative to sample. The estimator is one of "best" (the
+	 * highest weight particle), "mean" (the weighted mean location with the map
+	 * of the highest weight particle), "mode" (see mode), or "sample" (a
+	 * randomly drawn particle, as sample).
+	 */
+	_this.estimate = function(x_min, x_max, y_min, y_max, estimator = "best",
+		unknown = undefined)
+	{
+		var dp_node, location;
+		if(estimator == "best") {
+			dp_node = _this.best_particle();
+			location = dp_node.location;
+		}
+		else if(estimator == "mean") {
+			dp_node = _this.best_particle();
+			location = _this.mean_location();
+		}
+		else if(estimator == "mode") {
+			var mode = _this.mode();
+			dp_node = mode.particle;
+			location = mode.location;
+		}
+		else if(estimator == "sample") {
+			return _this.sample(x_min, x_max, y_min, y_max, unknown);
+		}
+		else {
+			throw new Error("unknown estimator " + estimator);
+		}
+		
+		return {
+				location : copy_location(location),
+				map : _this.map.get_map(
+						x_min, x_max,
+						y_min, y_max,
+						dp_node,
+						unknown
 					)
 			};
 	};
 };
+
+if(typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		default_seed : default_seed,
+		default_seeds : default_seeds,
+		make_rng : make_rng,
+		default_rng : default_rng,
+		rng_state : rng_state,
+		set_rng_state : set_rng_state,
+		sample_normal : sample_normal,
+		prob_normal : prob_normal,
+		log_sum_exp : log_sum_exp,
+		cdf_normal : cdf_normal,
+		location_t : location_t,
+		normalize_angle : normalize_angle,
+		copy_location : copy_location,
+		mean_location : mean_location,
+		pose_covariance : pose_covariance,
+		error_ellipse : error_ellipse,
+		control_t : control_t,
+		velocity_control_t : velocity_control_t,
+		odometry_motion_model_t : odometry_motion_model_t,
+		velocity_motion_model_t : velocity_motion_model_t,
+		grid_t : grid_t,
+		unit_grid : unit_grid,
+		ray_trace : ray_trace,
+		scanner_t : scanner_t,
+		quantile_normal : quantile_normal,
+		kld_sampler_t : kld_sampler_t,
+		resample_systematic : resample_systematic,
+		resample_stratified : resample_stratified,
+		resample_multinomial : resample_multinomial,
+		resample_residual : resample_residual,
+		resampling_methods : resampling_methods,
+		beam_measurement_model_t : beam_measurement_model_t,
+		likelihood_field_model_t : likelihood_field_model_t,
+		particle_filter_t : particle_filter_t,
+		dp_map_tile_bits : dp_map_tile_bits,
+		dp_map_tile_size : dp_map_tile_size,
+		dp_map_tile_t : dp_map_tile_t,
+		dp_map_t : dp_map_t,
+		dp_node_t : dp_node_t,
+		dp_slam_snapshot_version : dp_slam_snapshot_version,
+		dp_slam_t : dp_slam_t
+	};
+}
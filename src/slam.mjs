@@ -0,0 +1,53 @@
+/*
+ * slam.mjs
+ * 
+ * ES module entry point re-exporting the CommonJS build of slam.js.
+ */
+
+import slam from "./slam.js";
+
+export const {
+	default_seed,
+	default_seeds,
+	make_rng,
+	default_rng,
+	rng_state,
+	set_rng_state,
+	sample_normal,
+	prob_normal,
+	log_sum_exp,
+	cdf_normal,
+	location_t,
+	normalize_angle,
+	copy_location,
+	mean_location,
+	pose_covariance,
+	error_ellipse,
+	control_t,
+	velocity_control_t,
+	odometry_motion_model_t,
+	velocity_motion_model_t,
+	grid_t,
+	unit_grid,
+	ray_trace,
+	scanner_t,
+	quantile_normal,
+	kld_sampler_t,
+	resample_systematic,
+	resample_stratified,
+	resample_multinomial,
+	resample_residual,
+	resampling_methods,
+	beam_measurement_model_t,
+	likelihood_field_model_t,
+	particle_filter_t,
+	dp_map_tile_bits,
+	dp_map_tile_size,
+	dp_map_tile_t,
+	dp_map_t,
+	dp_node_t,
+	dp_slam_snapshot_version,
+	dp_slam_t
+} = slam;
+
+export default slam;
@@ -0,0 +1,193 @@
+/*
+ * slam_worker.js
+ * 
+ * Web Worker hosting a dp_slam_t engine, so that updates run off the UI
+ * thread. Create it with new Worker("src/slam_worker.js").
+ * 
+ * Messages accepted by the worker:
+ *   { type : "init", size, frac, seed, resampling,
+ *     motion : { type : "odometry" | "velocity", params : [...] },
+ *     measurement : { type : "beam" | "likelihood_field", scanner : [...],
+ *                     params : [...], field : [...] },
+ *     grid : { resolution, origin_x, origin_y }, start : { x, y, angle } }
+ *     Construct the engine. Params are the model constructor arguments, with
+ *     the scanner_t arguments given separately in scanner and the mount as a
+ *     plain { x, y, angle } location; field holds the likelihood_field_model_t
+ *     arguments after the beam model. The grid is optional and defaults to one
+ *     world unit per cell. The start location defaults to the origin.
+ *   { type : "update", id, control, measurement, bounds, estimator }
+ *     Run dp_slam_t.update. The control is { current, last } with plain
+ *     { x, y, angle } locations, or { linear, angular, dt }. When bounds
+ *     { x_min, x_max, y_min, y_max } are given a map snapshot is returned.
+ *   { type : "estimate", id, bounds, estimator }
+ *     Report the current estimate without updating.
+ *   { type : "trajectory", id }
+ *     Report the pose history of the highest weight particle.
+ *   { type : "measurement", measurement }
+ *     Replace the measurement model, described as in init, e.g. after the
+ *     scanner's beam count changes. The particles and maps are kept.
+ * 
+ * Messages posted by the worker:
+ *   { type : "ready" }
+ *   { type : "estimate", id, location, uncertainty, map }
+ *     The map, when requested, is { x_min, x_max, y_min, y_max, data } with
+ *     data a Float32Array of occupancy probabilities in x major order.
+ *   { type : "trajectory", id, poses }
+ *     The poses are plain { x, y, angle } locations, oldest first.
+ *   { type : "error", id, message }
+ */
+
+importScripts("../include/mersenne-twister.js", "slam.js");
+
+var dp_slam = null;
+
+function plain_location(location) {
+	return { x : location.x, y : location.y, angle : location.angle };
+}
+
+function make_motion_model(description) {
+	if(description.type == "velocity") {
+		return new velocity_motion_model_t(...description.params);
+	}
+	return new odometry_motion_model_t(...description.params);
+}
+
+function make_scanner(params) {
+	var scanner = new scanner_t(...params);
+	scanner.mount = copy_location(scanner.mount);
+	return scanner;
+}
+
+function make_measurement_model(description) {
+	var beam_model = new beam_measurement_model_t(
+			description.params[0],
+			make_scanner(description.scanner),
+			...description.params.slice(1)
+		);
+	if(description.type == "likelihood_field") {
+		return new likelihood_field_model_t(beam_model, ...description.field);
+	}
+	return beam_model;
+}
+
+function make_grid(description) {
+	if(!description) {
+		return unit_grid;
+	}
+	return new grid_t(
+			description.resolution,
+			description.origin_x,
+			description.origin_y
+		);
+}
+
+function make_control(description) {
+	if("linear" in description) {
+		return new velocity_control_t(
+				description.linear,
+				description.angular,
+				description.dt
+			);
+	}
+	return new control_t(
+			copy_location(description.current),
+			copy_location(description.last)
+		);
+}
+
+function flatten_map(map, bounds) {
+	var height = bounds.y_max - bounds.y_min;
+	var data = new Float32Array((bounds.x_max - bounds.x_min) * height);
+	for(var x = bounds.x_min; x < bounds.x_max; ++x) {
+		for(var y = bounds.y_min; y < bounds.y_max; ++y) {
+			data[(x - bounds.x_min) * height + (y - bounds.y_min)] = map[x][y];
+		}
+	}
+	return {
+			x_min : bounds.x_min,
+			x_max : bounds.x_max,
+			y_min : bounds.y_min,
+			y_max : bounds.y_max,
+			data : data
+		};
+}
+
+function post_estimate(id, bounds, estimator, uncertainty) {
+	var reply = { type : "estimate", id : id };
+	var transfer = [];
+	
+	if(bounds) {
+		var estimate = dp_slam.estimate(
+				bounds.x_min, bounds.x_max,
+				bounds.y_min, bounds.y_max,
+				estimator || "best"
+			);
+		reply.location = plain_location(estimate.location);
+		reply.map = flatten_map(estimate.map, bounds);
+		transfer.push(reply.map.data.buffer);
+	}
+	else if(estimator == "mean") {
+		reply.location = plain_location(dp_slam.mean_location());
+	}
+	else {
+		reply.location = plain_location(dp_slam.best_particle().location);
+	}
+	
+	if(uncertainty) {
+		reply.uncertainty = {
+				mean : plain_location(uncertainty.mean),
+				covariance : uncertainty.covariance,
+				effective_sample_size : uncertainty.effective_sample_size,
+				entropy : uncertainty.entropy
+			};
+	}
+	
+	postMessage(reply, transfer);
+}
+
+onmessage = function(e) {
+	var message = e.data;
+	try {
+		if(message.type == "init") {
+			dp_slam = new dp_slam_t(
+					message.size,
+					make_motion_model(message.motion),
+					make_measurement_model(message.measurement),
+					message.frac || 0.5,
+					make_rng(message.seed === undefined ? default_seeds.dp_slam : message.seed),
+					message.resampling || "systematic",
+					null,
+					make_grid(message.grid),
+					message.start ? copy_location(message.start)
+						: new location_t(0.0, 0.0, 0.0)
+				);
+			postMessage({ type : "ready" });
+		}
+		else if(message.type == "update") {
+			var uncertainty = dp_slam.update(
+					make_control(message.control),
+					message.measurement
+				);
+			post_estimate(message.id, message.bounds, message.estimator, uncertainty);
+		}
+		else if(message.type == "estimate") {
+			post_estimate(message.id, message.bounds, message.estimator, null);
+		}
+		else if(message.type == "measurement") {
+			dp_slam.measurement_model = make_measurement_model(message.measurement);
+		}
+		else if(message.type == "trajectory") {
+			postMessage({
+					type : "trajectory",
+					id : message.id,
+					poses : dp_slam.trajectory().map(plain_location)
+				});
+		}
+		else {
+			throw new Error("unknown message type " + message.type);
+		}
+	}
+	catch(error) {
+		postMessage({ type : "error", id : message.id, message : error.message });
+	}
+};
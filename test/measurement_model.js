@@ -0,0 +1,67 @@
+/*
+ * measurement_model.js
+ * 
+ * Tests of the beam and likelihood field measurement models.
+ */
+
+var test = require("node:test");
+var assert = require("assert");
+var slam = require("../src/slam.js");
+
+/*
+ * wall_lookup
+ * Map lookup for a single wall of occupied cells at x = 5.
+ */
+function wall_lookup(x, y) {
+	return (x == 5) ? 1.0 : 0.0;
+}
+
+function filled(size, range) {
+	var measurement = [];
+	for(var i = 0; i < size; ++i) {
+		measurement.push(range);
+	}
+	return measurement;
+}
+
+test("the likelihood field skips readings at the maximum range", function() {
+	var scanner = new slam.scanner_t(36, 10.0);
+	var model = new slam.likelihood_field_model_t(
+			new slam.beam_measurement_model_t(0.01, scanner, 36),
+			2.0,
+			0.1
+		);
+	var log_prob = function(range) {
+		return model.log_prob(new slam.location_t(0.0, 0.0, 0.0),
+			filled(36, range), wall_lookup);
+	};
+	
+	assert.strictEqual(log_prob(0.0), 0.0);
+	assert.strictEqual(log_prob(10.0), 0.0);
+	assert.strictEqual(log_prob(25.0), 0.0);
+	assert.ok(log_prob(5.0) < 0.0);
+});
+
+test("the beam model strides over whole beams", function() {
+	[[356, 36], [364, 36], [100, 36], [181, 30], [10, 36]].forEach(function(c) {
+		var model = new slam.beam_measurement_model_t(
+				0.01,
+				new slam.scanner_t(c[0], 10.0),
+				c[1]
+			);
+		var used = {};
+		for(var k = 0; k < model.range_size; ++k) {
+			var count = 0;
+			for(var i = model.start_index; i < model.size;
+				i += model.range_size)
+			{
+				assert.ok(Number.isInteger(i));
+				used[i] = true;
+				count += 1;
+			}
+			assert.ok(count >= Math.min(c[0], c[1]));
+			model.increment();
+		}
+		assert.strictEqual(Object.keys(used).length, c[0]);
+	});
+});
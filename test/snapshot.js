@@ -0,0 +1,113 @@
+/*
+ * snapshot.js
+ * 
+ * Tests that particle_filter_t and dp_slam_t snapshots survive a JSON round
+ * trip and that a restored filter updates exactly like the original.
+ */
+
+var test = require("node:test");
+var assert = require("assert");
+var slam = require("../src/slam.js");
+var simulator_t = require("../src/simulator.js").simulator_t;
+
+function round_trip(state) {
+	return JSON.parse(JSON.stringify(state));
+}
+
+function plain(locations) {
+	return locations.map(function(l) { return [l.x, l.y, l.angle]; });
+}
+
+/*
+ * make_particle_filter
+ * A filter over particles that are their own log likelihood, so that the
+ * weights are set directly by the particles.
+ */
+function make_particle_filter() {
+	return new slam.particle_filter_t(
+			function(particle, control) { return particle; },
+			function(particle, measurement) { return particle; },
+			4
+		);
+}
+
+test("eliminated particles survive a JSON round trip", function() {
+	var particles = [0.0, 0.0, 0.0, -1000.0];
+	var original = make_particle_filter();
+	original.weight(particles, null);
+	original.weight(particles, null);
+	assert.strictEqual(original.log_weights[3], -Infinity);
+	
+	var restored = make_particle_filter();
+	restored.restore(round_trip(original.snapshot()));
+	assert.deepStrictEqual(restored.log_weights, original.log_weights);
+	assert.deepStrictEqual(restored.weights, original.weights);
+	
+	original.weight(particles, null);
+	restored.weight(particles, null);
+	assert.deepStrictEqual(restored.weights, original.weights);
+	assert.strictEqual(restored.weights[3], 0.0);
+});
+
+/*
+ * make_dp_slam
+ * A small filter with the models used by main.html.
+ */
+function make_dp_slam() {
+	return new slam.dp_slam_t(
+			10,
+			new slam.odometry_motion_model_t(0.00001, 0.00001, 0.0001, 0.00001),
+			new slam.beam_measurement_model_t(
+					2.0,
+					new slam.scanner_t(90, 20.0),
+					18
+				)
+		);
+}
+
+test("a restored dp_slam_t updates exactly like the original", function() {
+	var walls = [
+			[-5, -5, 5, -5], [5, -5, 5, 5], [5, 5, -5, 5], [-5, 5, -5, -5]
+		].map(function(w) {
+			return { p1 : { x : w[0], y : w[1] }, p2 : { x : w[2], y : w[3] } };
+		});
+	var simulator = new simulator_t(walls, new slam.location_t(0.0, 0.0, 0.0),
+		new slam.scanner_t(90, 20.0));
+	var steps = [];
+	for(var k = 0; k < 12; ++k) {
+		steps.push(simulator.step({ linear : 0.1, angular : 0.05, dt : 1.0 }));
+	}
+	
+	var original = make_dp_slam();
+	for(var k = 0; k < 6; ++k) {
+		original.update(steps[k].odometry, steps[k].scan);
+	}
+	original.particle_filter.log_weights[0] = -Infinity;
+	original.particle_filter.weights[0] = 0.0;
+	
+	var restored = make_dp_slam();
+	restored.restore(round_trip(original.snapshot()));
+	
+	for(var k = 6; k < steps.length; ++k) {
+		original.update(steps[k].odometry, steps[k].scan);
+		restored.update(steps[k].odometry, steps[k].scan);
+	}
+	assert.deepStrictEqual(
+			restored.particle_filter.weights,
+			original.particle_filter.weights
+		);
+	assert.deepStrictEqual(plain(restored.trajectory()),
+		plain(original.trajectory()));
+	assert.deepStrictEqual(restored.snapshot(), original.snapshot());
+});
+
+test("snapshots without a supported integer version are rejected", function() {
+	var dp_slam = make_dp_slam();
+	var state = dp_slam.snapshot();
+	[undefined, null, "2", 1.5, 0, slam.dp_slam_snapshot_version + 1]
+		.forEach(function(version) {
+			state.version = version;
+			assert.throws(function() { dp_slam.restore(state); },
+				/unsupported dp_slam_t snapshot version/);
+		});
+});